@@ -0,0 +1,130 @@
+/**
+ * Stream candidates: probing, ranking and variant mapping for failover
+ *
+ * - normalizeCandidates(): provider extract() output -> deduped [{ url, via }] with absolute URLs
+ * - rankCandidates(): fetches every candidate's playlist (and first variant for masters), checks it
+ *   parses and that its media sequence advances, then orders: advancing -> parses -> failed, by latency
+ * - createVariantRegistry(): remembers each master's variants so a variant URL of a failed candidate
+ *   can be mapped to the closest-bandwidth variant of the active one
+ */
+
+import { URL } from 'url';
+import { LRUCache } from 'lru-cache';
+import { parsePlaylist, isMasterPlaylist, getAttr, targetDuration } from './m3u8.js';
+import { playlistVersion } from './playlistCache.js';
+
+export const MAX_CANDIDATES = 5;
+const PROBE_ADVANCE_MAX_WAIT_MS = 6000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function normalizeCandidates(found, pageUrl) {
+    const list = Array.isArray(found) ? found : found ? [found] : [];
+    const seen = new Set();
+    const candidates = [];
+
+    for (const item of list) {
+        const raw = typeof item === 'string' ? item : item?.url;
+        if (!raw) continue;
+        let url;
+        try {
+            url = new URL(raw, pageUrl).toString();
+        } catch {
+            continue;
+        }
+        if (seen.has(url)) continue;
+        seen.add(url);
+        candidates.push({ url, via: (typeof item === 'object' && item.via) || 'unknown' });
+    }
+    return candidates.slice(0, MAX_CANDIDATES);
+}
+
+// Variants of a master playlist as [{ url, bandwidth }] (absolute URLs)
+export function masterVariants(text, masterUrl) {
+    const playlist = parsePlaylist(text);
+    const variants = [];
+    let pending = null;
+    for (const item of playlist.items) {
+        if (item.kind === 'tag' && item.name === 'EXT-X-STREAM-INF') {
+            pending = Number(getAttr(item, 'BANDWIDTH')) || 0;
+        } else if (item.kind === 'uri' && pending !== null) {
+            try {
+                variants.push({ url: new URL(item.uri, masterUrl).toString(), bandwidth: pending });
+            } catch { }
+            pending = null;
+        }
+    }
+    return variants;
+}
+
+// fetchText(url) must resolve to the playlist body and throw on upstream failure
+async function probeCandidate(candidate, fetchText) {
+    const startedAt = Date.now();
+    try {
+        let mediaUrl = candidate.url;
+        let text = await fetchText(mediaUrl);
+        const latencyMs = Date.now() - startedAt;
+        if (!text.includes('#EXTM3U')) return { ...candidate, ok: false, error: 'not_a_playlist', latencyMs };
+
+        // master: the first variant tells whether the stream is actually moving
+        if (isMasterPlaylist(parsePlaylist(text))) {
+            const [first] = masterVariants(text, mediaUrl);
+            if (!first) return { ...candidate, ok: false, error: 'no_variants', latencyMs };
+            mediaUrl = first.url;
+            text = await fetchText(mediaUrl);
+        }
+
+        const before = playlistVersion(text);
+        if (before.endsWith(':end')) return { ...candidate, ok: true, advancing: true, latencyMs };
+
+        const waitMs = Math.min(PROBE_ADVANCE_MAX_WAIT_MS, (targetDuration(parsePlaylist(text)) || 2) * 1000);
+        await sleep(waitMs);
+        const after = playlistVersion(await fetchText(mediaUrl));
+        return { ...candidate, ok: true, advancing: after !== before, latencyMs };
+    } catch (err) {
+        return { ...candidate, ok: false, error: err.message, latencyMs: Date.now() - startedAt };
+    }
+}
+
+function score(candidate) {
+    if (!candidate.ok) return 2;
+    return candidate.advancing ? 0 : 1;
+}
+
+// Probe all candidates in parallel; a single candidate is returned as-is (nothing to rank it against)
+export async function rankCandidates(candidates, fetchText) {
+    if (candidates.length < 2) return candidates.map((c) => ({ ...c, ok: true }));
+
+    const probed = await Promise.all(candidates.map((c) => probeCandidate(c, fetchText)));
+    return probed.sort((a, b) => score(a) - score(b) || a.latencyMs - b.latencyMs);
+}
+
+export function createVariantRegistry({ max = 500 } = {}) {
+    const byMaster = new LRUCache({ max }); // masterUrl -> [{ url, bandwidth }]
+    const masterOf = new LRUCache({ max: max * 8 }); // variantUrl -> masterUrl
+
+    function record(masterUrl, variants) {
+        byMaster.set(masterUrl, variants);
+        for (const v of variants) masterOf.set(v.url, masterUrl);
+    }
+
+    // Variant of targetMaster closest in bandwidth to variantUrl, or null when unknown
+    function equivalent(variantUrl, targetMaster) {
+        const sourceMaster = masterOf.get(variantUrl);
+        const targets = byMaster.get(targetMaster);
+        if (!sourceMaster || !targets?.length) return null;
+
+        const bandwidth = byMaster.get(sourceMaster)?.find((v) => v.url === variantUrl)?.bandwidth || 0;
+        return targets.reduce((best, v) =>
+            Math.abs(v.bandwidth - bandwidth) < Math.abs(best.bandwidth - bandwidth) ? v : best
+        ).url;
+    }
+
+    return {
+        record,
+        equivalent,
+        masterOf: (variantUrl) => masterOf.get(variantUrl) || null,
+        variantsOf: (masterUrl) => byMaster.get(masterUrl) || [],
+        has: (masterUrl) => byMaster.has(masterUrl)
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Per-upstream circuit breaker
+ *
+ * - closed: requests go through; failureThreshold failures in a row (network errors, timeouts, 5xx) open it
+ * - open: check() fails fast with code ECIRCUITOPEN (err.retryAfterMs) until openMs have passed
+ * - half-open: then a single trial request goes through; success closes the circuit, failure opens it
+ *   again for twice as long (up to maxOpenMs). A trial that never reports back is replaced after openMs
+ * - success() / failure() report request outcomes; onChange(key, state, previous) on every transition
+ * - status(): every circuit that has failed recently or isn't closed
+ */
+
+import { LRUCache } from 'lru-cache';
+
+export function createCircuitBreaker({ failureThreshold = 5, openMs = 30 * 1000, maxOpenMs = 5 * 60 * 1000, onChange = null } = {}) {
+    // key -> circuit; closed circuits without failures are dropped after a while
+    const circuits = new LRUCache({ max: 1000, ttl: 60 * 60 * 1000, updateAgeOnGet: true });
+
+    function circuit(key) {
+        let c = circuits.get(key);
+        if (!c) {
+            c = { state: 'closed', failures: 0, openMs, openUntil: 0, trialAt: 0, lastError: null, lastFailureAt: null, opened: 0 };
+            circuits.set(key, c);
+        }
+        return c;
+    }
+
+    function transition(key, c, state) {
+        const previous = c.state;
+        c.state = state;
+        onChange?.(key, state, previous);
+    }
+
+    function open(key, c) {
+        c.openUntil = Date.now() + c.openMs;
+        c.opened++;
+        transition(key, c, 'open');
+    }
+
+    // Throws ECIRCUITOPEN when requests to key must not be made right now
+    function check(key) {
+        const c = circuits.get(key);
+        if (!c || c.state === 'closed') return;
+
+        const now = Date.now();
+        if (c.state === 'open' && now >= c.openUntil) {
+            transition(key, c, 'half-open');
+        }
+        if (c.state === 'half-open' && now - c.trialAt >= c.openMs) {
+            c.trialAt = now;
+            return;
+        }
+
+        const err = new Error(`Circuit open for ${key} (${c.lastError})`);
+        err.code = 'ECIRCUITOPEN';
+        err.retryAfterMs = Math.max(0, (c.state === 'open' ? c.openUntil : c.trialAt + c.openMs) - now);
+        throw err;
+    }
+
+    function success(key) {
+        const c = circuits.get(key);
+        if (!c) return;
+        c.failures = 0;
+        if (c.state !== 'closed') {
+            c.openMs = openMs;
+            c.trialAt = 0;
+            transition(key, c, 'closed');
+        }
+    }
+
+    function failure(key, reason) {
+        const c = circuit(key);
+        c.failures++;
+        c.lastError = reason;
+        c.lastFailureAt = Date.now();
+        if (c.state === 'half-open') {
+            c.openMs = Math.min(maxOpenMs, c.openMs * 2);
+            open(key, c);
+        } else if (c.state === 'closed' && c.failures >= failureThreshold) {
+            open(key, c);
+        }
+    }
+
+    function status() {
+        const list = [];
+        for (const [key, c] of circuits.entries()) {
+            if (c.state === 'closed' && !c.failures) continue;
+            list.push({
+                key,
+                state: c.state,
+                failures: c.failures,
+                lastError: c.lastError,
+                lastFailureAt: c.lastFailureAt,
+                openUntil: c.state === 'open' ? c.openUntil : null,
+                opened: c.opened
+            });
+        }
+        return list;
+    }
+
+    return { check, success, failure, status };
+}
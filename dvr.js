@@ -0,0 +1,365 @@
+/**
+ * DVR / timeshift recorder
+ *
+ * - While an event is watched (touch()), its media playlist is polled once per target duration via
+ *   poll(ctx) -> playlist text with upstream URLs, or null; new segments are downloaded in order via
+ *   fetchSegment(ctx, url) -> Buffer and written to <dir>/<event>/<n>.<ext>
+ * - Recording: the last windowSec of segments are kept, playlist() is a sliding window with
+ *   #EXT-X-PROGRAM-DATE-TIME on every segment (the upstream's when present, else chained from wall clock)
+ * - Finished (#EXT-X-ENDLIST, or nobody watched for idleMs): playlist() is a VOD playlist of what was
+ *   recorded, kept retentionSec after the end; a returning viewer resumes recording after a discontinuity
+ * - maxBytes bounds the whole store: oldest segments of finished recordings go first, then of live ones
+ * - Encrypted streams (EXT-X-KEY other than NONE) are not recorded, keys would end up on disk next to the media
+ * - Each recording's index is kept in index.json next to its segments, so recordings survive a restart
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parsePlaylist, getAttr, mediaSequence, targetDuration, findTag } from './m3u8.js';
+
+const TICK_MS = 1000;
+const DEFAULT_TARGET_DURATION_SEC = 4;
+
+const CONTENT_TYPES = {
+    ts: 'video/mp2t',
+    aac: 'audio/aac',
+    m4s: 'video/mp4',
+    mp4: 'video/mp4',
+    cmfv: 'video/mp4',
+    m4a: 'audio/mp4',
+    cmfa: 'audio/mp4'
+};
+const FILE_RE = /^(?:init-)?\d+\.[a-z0-9]+$/;
+
+function extensionOf(url) {
+    const ext = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+    return CONTENT_TYPES[ext] ? ext : 'ts';
+}
+
+// Media segments of a playlist: { seq, url, duration, programDateTime, discontinuity, mapUrl }
+function listSegments(playlist) {
+    const segments = [];
+    let seq = mediaSequence(playlist);
+    let duration = null;
+    let programDateTime = null;
+    let discontinuity = false;
+    let mapUrl = null;
+    for (const item of playlist.items) {
+        if (item.kind === 'tag') {
+            if (item.name === 'EXTINF') duration = parseFloat(item.value) || 0;
+            else if (item.name === 'EXT-X-PROGRAM-DATE-TIME') programDateTime = Date.parse(item.value) || null;
+            else if (item.name === 'EXT-X-DISCONTINUITY') discontinuity = true;
+            else if (item.name === 'EXT-X-MAP') mapUrl = getAttr(item, 'URI') || null;
+        } else if (item.kind === 'uri' && duration !== null) {
+            segments.push({ seq: seq++, url: item.uri, duration, programDateTime, discontinuity, mapUrl });
+            duration = null;
+            programDateTime = null;
+            discontinuity = false;
+        }
+    }
+    return segments;
+}
+
+function isEncrypted(playlist) {
+    return playlist.items.some((item) => item.kind === 'tag' && item.name === 'EXT-X-KEY' && getAttr(item, 'METHOD') !== 'NONE');
+}
+
+export function createDvr({ dir, windowSec, retentionSec, maxBytes, poll, fetchSegment, idleMs = 60 * 1000 }) {
+    const recordings = new Map(); // key -> recording
+    let totalBytes = 0;
+    let timer = null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    load();
+
+    function ensureTimer() {
+        if (timer) return;
+        timer = setInterval(tick, TICK_MS);
+        timer.unref();
+    }
+
+    function recordingDir(key) {
+        return path.join(dir, encodeURIComponent(key));
+    }
+
+    // Saved indexes from a previous run come back as finished recordings (a viewer resumes them)
+    function load() {
+        for (const name of fs.readdirSync(dir)) {
+            try {
+                const index = JSON.parse(fs.readFileSync(path.join(dir, name, 'index.json'), 'utf8'));
+                const rec = { ...index, maps: index.maps || [], state: 'finished', endedAt: index.endedAt || Date.now(), lastSeq: null, polling: false };
+                recordings.set(rec.key, rec);
+                totalBytes += rec.segments.reduce((sum, s) => sum + s.bytes, 0) + rec.maps.reduce((sum, m) => sum + m.bytes, 0);
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error(`📼 DVR: skipping ${name}:`, err.message);
+            }
+        }
+        if (recordings.size) console.log(`📼 DVR: loaded ${recordings.size} recordings from ${dir}`);
+        if (recordings.size) ensureTimer();
+    }
+
+    // index.json via tmp file + rename so a crash never leaves half a file
+    function save(rec) {
+        const { key, ctx, segments, maps, nextN, discontinuitySequence, targetDuration: td, state, endedAt, endReason } = rec;
+        const file = path.join(recordingDir(key), 'index.json');
+        const tmp = `${file}.tmp`;
+        fs.promises
+            .writeFile(tmp, JSON.stringify({ key, ctx, segments, maps, nextN, discontinuitySequence, targetDuration: td, state, endedAt, endReason }))
+            .then(() => fs.promises.rename(tmp, file))
+            .catch((err) => console.error(`📼 DVR: saving ${key} failed:`, err.message));
+    }
+
+    function remove(rec) {
+        recordings.delete(rec.key);
+        totalBytes -= rec.segments.reduce((sum, s) => sum + s.bytes, 0) + rec.maps.reduce((sum, m) => sum + m.bytes, 0);
+        fs.promises.rm(recordingDir(rec.key), { recursive: true, force: true }).catch(() => { });
+    }
+
+    function dropOldest(rec) {
+        const segment = rec.segments.shift();
+        if (!segment) return;
+        totalBytes -= segment.bytes;
+        if (segment.discontinuity) rec.discontinuitySequence++;
+        fs.promises.unlink(path.join(recordingDir(rec.key), segment.file)).catch(() => { });
+
+        // init segments nothing refers to any more
+        const used = new Set(rec.segments.map((s) => s.map));
+        rec.maps = rec.maps.filter((m) => {
+            if (used.has(m.file)) return true;
+            totalBytes -= m.bytes;
+            fs.promises.unlink(path.join(recordingDir(rec.key), m.file)).catch(() => { });
+            return false;
+        });
+    }
+
+    // Keep the store under maxBytes: oldest segment of a finished recording first, then of a live one
+    function enforceMaxBytes() {
+        while (totalBytes > maxBytes) {
+            let victim = null;
+            for (const preferFinished of [true, false]) {
+                for (const rec of recordings.values()) {
+                    if (!rec.segments.length || (preferFinished && rec.state !== 'finished')) continue;
+                    if (!victim || rec.segments[0].programDateTime < victim.segments[0].programDateTime) victim = rec;
+                }
+                if (victim) break;
+            }
+            if (!victim) return;
+            dropOldest(victim);
+            if (!victim.segments.length && victim.state === 'finished') remove(victim);
+        }
+    }
+
+    // Mark an event as being watched: starts (or resumes) recording it
+    function touch(key, ctx) {
+        let rec = recordings.get(key);
+        if (rec?.state === 'finished' && rec.endReason === 'ended') return; // the event itself is over
+        if (!rec) {
+            rec = {
+                key,
+                ctx,
+                segments: [], // { n, file, duration, programDateTime, discontinuity, map, bytes }
+                maps: [], // { file, url, bytes }
+                nextN: 0,
+                discontinuitySequence: 0,
+                targetDuration: null,
+                state: 'recording',
+                endedAt: null,
+                endReason: null,
+                lastSeq: null,
+                lastPollAt: 0,
+                polling: false
+            };
+            recordings.set(key, rec);
+            fs.mkdirSync(recordingDir(key), { recursive: true });
+            console.log(`📼 DVR: recording ${key}`);
+        } else if (rec.state === 'finished') {
+            Object.assign(rec, { state: 'recording', endedAt: null, endReason: null, lastSeq: null, resumed: true });
+            console.log(`📼 DVR: resumed recording ${key}`);
+        }
+        rec.lastViewedAt = Date.now();
+        ensureTimer();
+    }
+
+    function finish(rec, reason) {
+        rec.state = 'finished';
+        rec.endedAt = Date.now();
+        rec.endReason = reason;
+        console.log(`📼 DVR: ${rec.key} finished (${reason}), ${rec.segments.length} segments kept for ${retentionSec}s`);
+        if (rec.segments.length) save(rec);
+        else remove(rec);
+    }
+
+    async function storeMap(rec, url) {
+        const existing = rec.maps.find((m) => m.url === url);
+        if (existing) return existing.file;
+        const buffer = await fetchSegment(rec.ctx, url);
+        const file = `init-${rec.nextN}.${extensionOf(url)}`;
+        await fs.promises.writeFile(path.join(recordingDir(rec.key), file), buffer);
+        rec.maps.push({ file, url, bytes: buffer.length });
+        totalBytes += buffer.length;
+        return file;
+    }
+
+    async function record(rec, segment, programDateTime, discontinuity) {
+        const map = segment.mapUrl ? await storeMap(rec, segment.mapUrl) : null;
+        const buffer = await fetchSegment(rec.ctx, segment.url);
+        const n = rec.nextN++;
+        const file = `${n}.${extensionOf(segment.url)}`;
+        await fs.promises.writeFile(path.join(recordingDir(rec.key), file), buffer);
+        rec.segments.push({ n, file, duration: segment.duration, programDateTime, discontinuity, map, bytes: buffer.length });
+        totalBytes += buffer.length;
+    }
+
+    async function pollRecording(rec) {
+        rec.polling = true;
+        rec.lastPollAt = Date.now();
+        try {
+            const text = await poll(rec.ctx);
+            if (!text) return;
+            const playlist = parsePlaylist(text);
+            if (isEncrypted(playlist)) {
+                console.warn(`📼 DVR: ${rec.key} is encrypted, not recording`);
+                return finish(rec, 'ended');
+            }
+            rec.targetDuration = targetDuration(playlist) || rec.targetDuration;
+
+            let segments = listSegments(playlist);
+            const last = segments[segments.length - 1];
+            // sequence went backwards (mirror switch, upstream restart): continue from its live edge
+            let gap = rec.resumed || (last && rec.lastSeq !== null && last.seq < rec.lastSeq);
+            if (gap && rec.lastSeq !== null) segments = last ? [last] : [];
+            else if (rec.lastSeq !== null) {
+                segments = segments.filter((s) => s.seq > rec.lastSeq);
+                // polls fell behind the upstream window
+                if (segments.length && segments[0].seq > rec.lastSeq + 1) gap = true;
+            }
+            rec.resumed = false;
+
+            // segments without an upstream date are placed back from now by the durations after them
+            let fallbackAt = Date.now() - segments.reduce((sum, s) => sum + s.duration * 1000, 0);
+            for (const segment of segments) {
+                const previous = rec.segments[rec.segments.length - 1];
+                const discontinuity = Boolean(previous) && (gap || segment.discontinuity);
+                let programDateTime = segment.programDateTime;
+                if (!programDateTime) {
+                    programDateTime = previous && !discontinuity ? previous.programDateTime + previous.duration * 1000 : fallbackAt;
+                }
+                fallbackAt += segment.duration * 1000;
+                rec.lastSeq = segment.seq;
+                try {
+                    await record(rec, segment, programDateTime, discontinuity);
+                    gap = false;
+                } catch (err) {
+                    console.error(`📼 DVR: ${rec.key} segment ${segment.seq} failed:`, err.message);
+                    gap = true;
+                }
+            }
+
+            // sliding window
+            let duration = rec.segments.reduce((sum, s) => sum + s.duration, 0);
+            while (rec.segments.length > 1 && duration - rec.segments[0].duration >= windowSec) {
+                duration -= rec.segments[0].duration;
+                dropOldest(rec);
+            }
+            enforceMaxBytes();
+
+            if (findTag(playlist, 'EXT-X-ENDLIST')) finish(rec, 'ended');
+            else if (segments.length) save(rec);
+        } catch (err) {
+            console.error(`📼 DVR: ${rec.key} poll failed:`, err.message);
+        } finally {
+            rec.polling = false;
+        }
+    }
+
+    function tick() {
+        const now = Date.now();
+        for (const rec of recordings.values()) {
+            if (rec.state === 'finished') {
+                if (now - rec.endedAt > retentionSec * 1000) {
+                    console.log(`📼 DVR: ${rec.key} retention expired`);
+                    remove(rec);
+                }
+                continue;
+            }
+            if (now - rec.lastViewedAt > idleMs) {
+                if (!rec.polling) finish(rec, 'idle');
+                continue;
+            }
+            const windowMs = (rec.targetDuration || DEFAULT_TARGET_DURATION_SEC) * 1000;
+            if (!rec.polling && now - rec.lastPollAt >= windowMs) pollRecording(rec);
+        }
+        if (!recordings.size) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    /**
+     * Playlist of a recording, or null when nothing is recorded
+     * - segmentUri(file) -> the public URL of a stored file
+     * - recording: sliding window without ENDLIST; finished: VOD
+     */
+    function playlist(key, segmentUri) {
+        const rec = recordings.get(key);
+        if (!rec || !rec.segments.length) return null;
+        const finished = rec.state === 'finished';
+        const maxDuration = Math.max(...rec.segments.map((s) => s.duration));
+
+        const lines = [
+            '#EXTM3U',
+            `#EXT-X-VERSION:${rec.maps.length ? 6 : 3}`,
+            `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(maxDuration, rec.targetDuration || 0))}`,
+            `#EXT-X-MEDIA-SEQUENCE:${rec.segments[0].n}`,
+            `#EXT-X-DISCONTINUITY-SEQUENCE:${rec.discontinuitySequence}`
+        ];
+        if (finished) lines.push('#EXT-X-PLAYLIST-TYPE:VOD');
+        let map = null;
+        for (const segment of rec.segments) {
+            if (segment.discontinuity) lines.push('#EXT-X-DISCONTINUITY');
+            if (segment.map && (segment.map !== map || segment.discontinuity)) {
+                lines.push(`#EXT-X-MAP:URI="${segmentUri(segment.map)}"`);
+                map = segment.map;
+            }
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.programDateTime).toISOString()}`);
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+            lines.push(segmentUri(segment.file));
+        }
+        if (finished) lines.push('#EXT-X-ENDLIST');
+        return lines.join('\n') + '\n';
+    }
+
+    // { path, contentType } of a stored segment / init segment, or null
+    function file(key, name) {
+        const rec = recordings.get(key);
+        if (!rec || !FILE_RE.test(name)) return null;
+        if (!rec.segments.some((s) => s.file === name) && !rec.maps.some((m) => m.file === name)) return null;
+        return {
+            path: path.join(recordingDir(key), name),
+            contentType: CONTENT_TYPES[path.extname(name).slice(1)] || 'video/mp2t'
+        };
+    }
+
+    function status(key) {
+        const rec = recordings.get(key);
+        if (!rec) return null;
+        const first = rec.segments[0];
+        return {
+            state: rec.state,
+            segments: rec.segments.length,
+            durationSec: Math.round(rec.segments.reduce((sum, s) => sum + s.duration, 0)),
+            bytes: rec.segments.reduce((sum, s) => sum + s.bytes, 0),
+            from: first ? new Date(first.programDateTime).toISOString() : null,
+            endedAt: rec.endedAt,
+            expiresAt: rec.endedAt ? rec.endedAt + retentionSec * 1000 : null
+        };
+    }
+
+    function stats() {
+        let recording = 0;
+        for (const rec of recordings.values()) if (rec.state === 'recording') recording++;
+        return { recordings: recordings.size, recording, bytes: totalBytes, maxBytes };
+    }
+
+    return { touch, playlist, file, status, stats };
+}
@@ -0,0 +1,77 @@
+/**
+ * Egress guard: keep upstream requests off private / loopback / link-local networks
+ *
+ * - assertPublicUrl(url): scheme check + literal-IP check before a request is made
+ * - guardedLookup: dns.lookup replacement that refuses private answers (covers hostnames on every hop)
+ * - beforeRedirect: re-checks literal IPs on each redirect (Node skips lookup for IP literals)
+ *
+ * ALLOW_PRIVATE_UPSTREAMS=1 disables the address checks (local development against a LAN upstream).
+ */
+
+import dns from 'dns';
+import net from 'net';
+import { URL } from 'url';
+
+const ALLOW_PRIVATE = process.env.ALLOW_PRIVATE_UPSTREAMS === '1';
+
+const blocked = new net.BlockList();
+blocked.addSubnet('0.0.0.0', 8, 'ipv4');
+blocked.addSubnet('10.0.0.0', 8, 'ipv4');
+blocked.addSubnet('100.64.0.0', 10, 'ipv4');
+blocked.addSubnet('127.0.0.0', 8, 'ipv4');
+blocked.addSubnet('169.254.0.0', 16, 'ipv4');
+blocked.addSubnet('172.16.0.0', 12, 'ipv4');
+blocked.addSubnet('192.168.0.0', 16, 'ipv4');
+blocked.addSubnet('224.0.0.0', 3, 'ipv4'); // multicast + reserved
+blocked.addAddress('::', 'ipv6');
+blocked.addAddress('::1', 'ipv6');
+blocked.addSubnet('fc00::', 7, 'ipv6');
+blocked.addSubnet('fe80::', 10, 'ipv6');
+
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)?.[1];
+    if (mapped) return blocked.check(mapped, 'ipv4');
+    return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(target) {
+    const err = new Error(`Blocked upstream address ${target}`);
+    err.code = 'EBLOCKEDADDRESS';
+    return err;
+}
+
+// Throws when url isn't http(s) or points at a private IP literal
+export function assertPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`Unsupported upstream protocol ${protocol}`);
+    if (ALLOW_PRIVATE) return;
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+        throw blockedError(host);
+    }
+}
+
+// dns.lookup with the same signature, failing when any resolved address is private
+export function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err || ALLOW_PRIVATE) return callback(err, address, family);
+
+        const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+        const bad = addresses.find(isPrivateAddress);
+        if (bad) return callback(blockedError(`${hostname} -> ${bad}`));
+        callback(null, address, family);
+    });
+}
+
+// axios `beforeRedirect` hook: follow-redirects passes the next request's options
+export function beforeRedirect(options) {
+    assertPublicUrl(`${options.protocol}//${options.hostname || options.host}/`);
+}
@@ -0,0 +1,97 @@
+/**
+ * Per-event live feed (Server-Sent Events)
+ *
+ * - publish(key, type, data): sends `event: <type>` to every subscriber of the event; an event equal to
+ *   the last one of its type is dropped, and the last of each type is replayed to new subscribers
+ * - subscribe(key, req, res): turns the response into an SSE stream until the client goes away
+ *   (heartbeat comments keep proxies from closing idle streams); false when maxClients are connected
+ * - keys(): events with at least one subscriber
+ */
+
+import { LRUCache } from 'lru-cache';
+
+const RETRY_MS = 3000; // client reconnect delay
+const HEARTBEAT_MS = 15 * 1000;
+
+export function createEventFeed({ maxClients = 1000, maxEvents = 500 } = {}) {
+    const subscribers = new Map(); // key -> Set(res)
+    const last = new LRUCache({ max: maxEvents }); // key -> Map(type -> { serialized, payload })
+    let clients = 0;
+    let heartbeat = null;
+
+    function write(res, type, payload) {
+        res.write(`event: ${type}\ndata: ${payload}\n\n`);
+    }
+
+    function publish(key, type, data) {
+        const serialized = JSON.stringify(data);
+        let events = last.get(key);
+        if (!events) {
+            events = new Map();
+            last.set(key, events);
+        }
+        if (events.get(type)?.serialized === serialized) return;
+        // payloads carry the time they were published, replays included
+        const payload = JSON.stringify({ ...data, at: Date.now() });
+        events.set(type, { serialized, payload });
+
+        for (const res of subscribers.get(key) || []) write(res, type, payload);
+    }
+
+    // Last published data of a type, or null
+    function current(key, type) {
+        const event = last.get(key)?.get(type);
+        return event ? JSON.parse(event.serialized) : null;
+    }
+
+    function ensureHeartbeat() {
+        if (heartbeat) return;
+        heartbeat = setInterval(() => {
+            for (const set of subscribers.values()) for (const res of set) res.write(': ping\n\n');
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+    }
+
+    function subscribe(key, req, res) {
+        if (clients >= maxClients) return false;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        for (const [type, { payload }] of last.get(key) || []) write(res, type, payload);
+
+        let set = subscribers.get(key);
+        if (!set) {
+            set = new Set();
+            subscribers.set(key, set);
+        }
+        set.add(res);
+        clients++;
+        ensureHeartbeat();
+
+        req.on('close', () => {
+            set.delete(res);
+            clients--;
+            if (!set.size) subscribers.delete(key);
+            if (!clients) {
+                clearInterval(heartbeat);
+                heartbeat = null;
+            }
+        });
+        return true;
+    }
+
+    function keys() {
+        return [...subscribers.keys()];
+    }
+
+    function stats() {
+        return { clients, events: subscribers.size };
+    }
+
+    return { publish, current, subscribe, keys, stats };
+}
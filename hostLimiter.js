@@ -0,0 +1,92 @@
+/**
+ * Upstream concurrency limiter
+ *
+ * - acquire(host) -> release(): resolves once the host has fewer than perHost requests in flight and
+ *   fewer than `total` are in flight overall; waiters are served in arrival order (a waiter whose host
+ *   is at its cap doesn't hold up the ones behind it)
+ * - a request that waits longer than queueTimeoutMs, or arrives while maxQueue requests already wait
+ *   for its host, fails with code EUPSTREAMBUSY instead of piling up on a struggling host
+ * - release() is idempotent; streamed responses release when the body is done
+ * - stats(): in flight / queued overall and per host, rejections
+ */
+
+export function createHostLimiter({ perHost = 16, total = 64, maxQueue = 64, queueTimeoutMs = 5000 } = {}) {
+    const active = new Map(); // host -> requests in flight
+    const queue = []; // { host, resolve, timer }
+    let inFlight = 0;
+    let rejected = 0;
+    let timedOut = 0;
+
+    function hasSlot(host) {
+        return inFlight < total && (active.get(host) || 0) < perHost;
+    }
+
+    function take(host) {
+        inFlight++;
+        active.set(host, (active.get(host) || 0) + 1);
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            inFlight--;
+            const left = active.get(host) - 1;
+            if (left) active.set(host, left);
+            else active.delete(host);
+            drain();
+        };
+    }
+
+    function drain() {
+        for (let i = 0; i < queue.length && inFlight < total;) {
+            const waiter = queue[i];
+            if (!hasSlot(waiter.host)) {
+                i++;
+                continue;
+            }
+            queue.splice(i, 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(take(waiter.host));
+        }
+    }
+
+    function busyError(host, reason) {
+        const err = new Error(`Upstream ${host} busy: ${reason}`);
+        err.code = 'EUPSTREAMBUSY';
+        return err;
+    }
+
+    function queuedFor(host) {
+        return queue.filter((w) => w.host === host).length;
+    }
+
+    function acquire(host) {
+        if (!queue.length && hasSlot(host)) return Promise.resolve(take(host));
+        if (queuedFor(host) >= maxQueue) {
+            rejected++;
+            return Promise.reject(busyError(host, `${maxQueue} requests already waiting`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { host, resolve, timer: null };
+            waiter.timer = setTimeout(() => {
+                queue.splice(queue.indexOf(waiter), 1);
+                timedOut++;
+                reject(busyError(host, `no slot within ${queueTimeoutMs}ms`));
+            }, queueTimeoutMs);
+            queue.push(waiter);
+            drain();
+        });
+    }
+
+    function stats() {
+        const hosts = {};
+        for (const [host, n] of active) hosts[host] = { inFlight: n, queued: 0 };
+        for (const { host } of queue) {
+            hosts[host] ||= { inFlight: 0, queued: 0 };
+            hosts[host].queued++;
+        }
+        return { inFlight, queued: queue.length, perHost, total, rejected, timedOut, hosts };
+    }
+
+    return { acquire, stats };
+}
@@ -0,0 +1,80 @@
+/**
+ * Low-Latency HLS helpers
+ *
+ * - blockingRequest(query): the _HLS_msn / _HLS_part / _HLS_skip params of a blocking playlist reload
+ * - withBlockingParams(url, request): the upstream URL carrying those params; isBlockingReload(url) spots one
+ * - playlistPosition(text): last complete media sequence number and the parts already out for the next
+ * - satisfies(position, request): whether a playlist we hold already answers a blocking reload
+ *
+ * EXT-X-PART / EXT-X-PRELOAD-HINT / EXT-X-RENDITION-REPORT URIs are rewritten like any other URI=
+ * attribute (see m3u8.js); parts and hinted parts stream through /seg as the upstream produces them.
+ */
+
+import { URL } from 'url';
+
+function nonNegativeInt(value) {
+    if (value === undefined) return undefined;
+    return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Query -> null (plain reload) | { msn, part, skip } | { error }
+ * - _HLS_part needs _HLS_msn (RFC 8216bis 6.2.5.2); _HLS_skip is YES or v2
+ */
+export function blockingRequest(query) {
+    const msn = nonNegativeInt(query._HLS_msn);
+    const part = nonNegativeInt(query._HLS_part);
+    const skip = query._HLS_skip;
+    if (msn === undefined && part === undefined && skip === undefined) return null;
+
+    if (Number.isNaN(msn) || Number.isNaN(part)) return { error: 'invalid _HLS_msn/_HLS_part' };
+    if (part !== undefined && msn === undefined) return { error: '_HLS_part requires _HLS_msn' };
+    if (skip !== undefined && skip !== 'YES' && skip !== 'v2') return { error: 'invalid _HLS_skip' };
+    return { msn, part, skip };
+}
+
+export function withBlockingParams(url, request) {
+    if (!request) return url;
+    const target = new URL(url);
+    if (request.msn !== undefined) target.searchParams.set('_HLS_msn', request.msn);
+    if (request.part !== undefined) target.searchParams.set('_HLS_part', request.part);
+    if (request.skip !== undefined) target.searchParams.set('_HLS_skip', request.skip);
+    return target.toString();
+}
+
+// { lastMsn, nextParts }: msn of the last complete segment (-1: none) and how many parts of the next one exist
+export function playlistPosition(text) {
+    const sequence = Number(text.match(/#EXT-X-MEDIA-SEQUENCE:\s*(\d+)/)?.[1] || 0);
+    const lines = text.split(/\r?\n/);
+    let segments = 0;
+    let nextParts = 0;
+    for (const line of lines) {
+        if (line.startsWith('#EXTINF:')) {
+            segments++;
+            nextParts = 0;
+        } else if (line.startsWith('#EXT-X-PART:')) {
+            nextParts++;
+        }
+    }
+    // parts listed before an EXTINF belong to that (now complete) segment; only trailing parts are "next"
+    const skipped = Number(text.match(/#EXT-X-SKIP:.*SKIPPED-SEGMENTS=(\d+)/)?.[1] || 0);
+    return { lastMsn: sequence + skipped + segments - 1, nextParts };
+}
+
+// Requests without _HLS_msn don't wait for a position; playlistCache answers them by freshness
+export function satisfies(position, request) {
+    if (!position || request.msn === undefined) return false;
+    if (request.msn <= position.lastMsn) return true;
+    return request.part !== undefined && request.msn === position.lastMsn + 1 && request.part < position.nextParts;
+}
+
+// PART-TARGET in ms, or null for playlists without parts
+export function partTargetMs(text) {
+    const target = Number(text.match(/#EXT-X-PART-INF:.*PART-TARGET=(\d+(?:\.\d+)?)/)?.[1]);
+    return target ? target * 1000 : null;
+}
+
+// Whether an upstream playlist URL is a blocking reload (the server may hold it until the part exists)
+export function isBlockingReload(url) {
+    return new URL(url).searchParams.has('_HLS_msn');
+}
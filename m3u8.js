@@ -0,0 +1,139 @@
+/**
+ * Minimal M3U8 parser / serializer
+ *
+ * - parsePlaylist(text) -> { items } where each item is a tag, a URI line, a comment or a blank line
+ * - Attribute lists (KEY=VALUE,KEY="quoted") are parsed for every tag that carries one,
+ *   so URI="..." inside EXT-X-KEY, EXT-X-MAP, EXT-X-MEDIA, EXT-X-I-FRAME-STREAM-INF,
+ *   EXT-X-SESSION-KEY, EXT-X-SESSION-DATA etc. can be rewritten like plain URI lines
+ * - serializePlaylist(playlist) writes untouched items back byte-for-byte
+ */
+
+// Tags whose value is an attribute list (others are plain values like EXTINF / TARGETDURATION)
+const ATTRIBUTE_TAGS = new Set([
+    'EXT-X-KEY',
+    'EXT-X-MAP',
+    'EXT-X-MEDIA',
+    'EXT-X-STREAM-INF',
+    'EXT-X-I-FRAME-STREAM-INF',
+    'EXT-X-SESSION-DATA',
+    'EXT-X-SESSION-KEY',
+    'EXT-X-DATERANGE',
+    'EXT-X-START',
+    'EXT-X-PART',
+    'EXT-X-PART-INF',
+    'EXT-X-PRELOAD-HINT',
+    'EXT-X-RENDITION-REPORT',
+    'EXT-X-SERVER-CONTROL',
+    'EXT-X-SKIP',
+    'EXT-X-CONTENT-STEERING'
+]);
+
+// Attribute values that are written quoted per RFC 8216 when set programmatically
+const QUOTED_ATTRIBUTES = new Set([
+    'URI', 'CODECS', 'GROUP-ID', 'NAME', 'LANGUAGE', 'ASSOC-LANGUAGE', 'CHARACTERISTICS', 'AUDIO', 'VIDEO',
+    'SUBTITLES', 'CLOSED-CAPTIONS', 'KEYFORMAT', 'KEYFORMATVERSIONS', 'BYTERANGE', 'DATA-ID', 'VALUE', 'ID',
+    'CLASS', 'INSTREAM-ID', 'CHANNELS', 'SERVER-URI', 'PATHWAY-ID', 'STABLE-VARIANT-ID', 'STABLE-RENDITION-ID'
+]);
+
+/* ================== ATTRIBUTE LISTS ================== */
+
+export function parseAttributes(value) {
+    const attrs = [];
+    const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let m;
+    while ((m = re.exec(value))) {
+        const quoted = m[2].startsWith('"');
+        attrs.push({ key: m[1], value: quoted ? m[2].slice(1, -1) : m[2], quoted });
+    }
+    return attrs;
+}
+
+export function serializeAttributes(attrs) {
+    return attrs.map(({ key, value, quoted }) => (quoted ? `${key}="${value}"` : `${key}=${value}`)).join(',');
+}
+
+export function getAttr(item, key) {
+    return item.attrs?.find((a) => a.key === key)?.value;
+}
+
+export function setAttr(item, key, value) {
+    const attr = item.attrs.find((a) => a.key === key);
+    if (attr) attr.value = value;
+    else item.attrs.push({ key, value, quoted: QUOTED_ATTRIBUTES.has(key) });
+    item.dirty = true;
+}
+
+/* ================== PARSE / SERIALIZE ================== */
+
+function parseLine(raw) {
+    const line = raw.trim();
+    if (!line) return { kind: 'blank', raw };
+    if (!line.startsWith('#')) return { kind: 'uri', uri: line, raw };
+    if (!line.startsWith('#EXT')) return { kind: 'comment', raw };
+
+    const colon = line.indexOf(':');
+    const name = colon === -1 ? line.slice(1) : line.slice(1, colon);
+    const value = colon === -1 ? null : line.slice(colon + 1);
+    const item = { kind: 'tag', name, value, raw };
+    if (value !== null && ATTRIBUTE_TAGS.has(name)) item.attrs = parseAttributes(value);
+    return item;
+}
+
+export function parsePlaylist(text) {
+    return { items: text.replace(/\r\n?/g, '\n').split('\n').map(parseLine) };
+}
+
+function serializeItem(item) {
+    if (!item.dirty) return item.raw;
+    if (item.kind === 'uri') return item.uri;
+    const value = item.attrs ? serializeAttributes(item.attrs) : item.value;
+    return value === null ? `#${item.name}` : `#${item.name}:${value}`;
+}
+
+export function serializePlaylist(playlist) {
+    return playlist.items.map(serializeItem).join('\n');
+}
+
+/* ================== QUERIES ================== */
+
+export function findTag(playlist, name) {
+    return playlist.items.find((item) => item.kind === 'tag' && item.name === name) || null;
+}
+
+export function isMasterPlaylist(playlist) {
+    return playlist.items.some((item) => item.kind === 'tag' && item.name === 'EXT-X-STREAM-INF');
+}
+
+export function mediaSequence(playlist) {
+    const tag = findTag(playlist, 'EXT-X-MEDIA-SEQUENCE');
+    return tag ? Number(tag.value) : 0;
+}
+
+export function targetDuration(playlist) {
+    const tag = findTag(playlist, 'EXT-X-TARGETDURATION');
+    return tag ? Number(tag.value) : null;
+}
+
+/* ================== URI REWRITING ================== */
+
+/**
+ * Call mapFn(uri, tag) for every URI in the playlist: plain URI lines (tag = null) and URI="..."
+ * attributes of any tag. mapFn returns the replacement, or null/undefined to leave it as is.
+ */
+export function rewriteUris(playlist, mapFn) {
+    for (const item of playlist.items) {
+        if (item.kind === 'uri') {
+            const next = mapFn(item.uri, null);
+            if (next != null && next !== item.uri) {
+                item.uri = next;
+                item.dirty = true;
+            }
+        } else if (item.kind === 'tag' && item.attrs) {
+            const uri = getAttr(item, 'URI');
+            if (uri === undefined) continue;
+            const next = mapFn(uri, item);
+            if (next != null && next !== uri) setAttr(item, 'URI', next);
+        }
+    }
+    return playlist;
+}
@@ -0,0 +1,107 @@
+/**
+ * Tiny Prometheus metrics registry (text exposition format 0.0.4)
+ *
+ * - counter(name, help) -> { inc(labels, n) }
+ * - counter(name, help, collect) / gauge(name, help, collect) -> collect() returns [{ labels, value }]
+ *   at scrape time (for values another module already tracks)
+ * - histogram(name, help, buckets) -> { observe(labels, value) }
+ * - render() -> exposition text for GET /metrics
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// Stable map key for a label set
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+export function createRegistry() {
+    const metrics = [];
+
+    function collected(name, help, type, collect) {
+        metrics.push({
+            name,
+            help,
+            type,
+            samples: () => collect().map(({ labels = {}, value }) => ({ name, labels, value }))
+        });
+    }
+
+    function counter(name, help, collect) {
+        if (collect) return collected(name, help, 'counter', collect);
+
+        const series = new Map(); // labelKey -> { labels, value }
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value }))
+        });
+        return {
+            inc(labels = {}, n = 1) {
+                const key = labelKey(labels);
+                const entry = series.get(key);
+                if (entry) entry.value += n;
+                else series.set(key, { labels, value: n });
+            }
+        };
+    }
+
+    function gauge(name, help, collect) {
+        collected(name, help, 'gauge', collect);
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = new Map(); // labelKey -> { labels, counts[], sum, count }
+        metrics.push({
+            name,
+            help,
+            type: 'histogram',
+            samples: () =>
+                [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((le, i) => ({ name: `${name}_bucket`, labels: { ...labels, le }, value: counts[i] })),
+                    { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+                    { name: `${name}_sum`, labels, value: sum },
+                    { name: `${name}_count`, labels, value: count }
+                ])
+        });
+        return {
+            observe(labels, value) {
+                const key = labelKey(labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                buckets.forEach((le, i) => {
+                    if (value <= le) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const sample of metric.samples()) {
+                lines.push(`${sample.name}${formatLabels(sample.labels)} ${sample.value}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,306 @@
+/**
+ * Built-in player page (/player/:eventId)
+ *
+ * - hls.js served from our own /vendor route (pinned in package.json), native HLS where hls.js can't run
+ * - quality menu (auto + every variant), live score subtitle toggle when the master declares one
+ * - stats overlay: latency to the live edge, buffer ahead, variant, bandwidth estimate, dropped frames, viewers
+ * - recovery: fatal media errors -> recoverMediaError (then codec swap), fatal network errors and native
+ *   playback errors -> re-prepare and reload with backoff; a reconnecting banner instead of alerts
+ * - live state from the SSE feed (/api/live/:eventId/events): stalled / re-preparing / ended banners
+ * - iframe embeds: ?autoplay=0|1 &muted=0|1 &quality=auto|lowest|highest|<height> &controls=0|1 &stats=0|1 &embed=1
+ */
+
+const QUALITY_RE = /^(auto|lowest|highest|\d{3,4})$/;
+
+function flag(value, fallback) {
+    if (value === '1' || value === 'true') return true;
+    if (value === '0' || value === 'false') return false;
+    return fallback;
+}
+
+// Embed options from the page query; unknown values fall back to the defaults (embed links stay playable)
+export function parsePlayerOptions(query) {
+    const autoplay = flag(query.autoplay, true);
+    return {
+        autoplay,
+        muted: flag(query.muted, autoplay), // browsers only autoplay muted video
+        quality: QUALITY_RE.test(query.quality || '') ? query.quality : 'auto',
+        controls: flag(query.controls, true),
+        stats: flag(query.stats, false),
+        embed: flag(query.embed, false)
+    };
+}
+
+// JSON safe to inline in a <script> block
+function inlineJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Player HTML
+ * - eventPath: "<provider>/<eventId>"; query: "?token=..." carried into every API/playlist URL ('' without auth)
+ * - hlsSrc: URL of the self-hosted hls.js build
+ */
+export function renderPlayerPage({ eventPath, eventId, query, options, hlsSrc }) {
+    const config = { eventPath, query, options };
+    return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><meta name="referrer" content="no-referrer">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Player ${String(eventId).replace(/[^\w-]/g, '')}</title>
+<style>
+html,body{height:100%;margin:0;background:#000;color:#fff;font:13px/1.4 system-ui,sans-serif;overflow:hidden}
+#wrap{position:relative;width:100%;height:100%}
+video{width:100%;height:100%;background:#000}
+#banner{position:absolute;left:50%;top:50%;transform:translate(-50%,-50%);padding:10px 16px;border-radius:6px;background:rgba(0,0,0,.75);display:none;text-align:center}
+#banner.show{display:block}
+#play{position:absolute;inset:0;margin:auto;width:84px;height:84px;border-radius:50%;border:0;background:rgba(0,0,0,.6);color:#fff;font-size:36px;cursor:pointer;display:none}
+#bar{position:absolute;top:8px;right:8px;display:flex;gap:6px;opacity:.85}
+#bar select,#bar button{background:rgba(0,0,0,.6);color:#fff;border:1px solid rgba(255,255,255,.35);border-radius:4px;padding:3px 6px;font:inherit;cursor:pointer}
+#bar [hidden]{display:none}
+#stats{position:absolute;top:8px;left:8px;padding:6px 8px;border-radius:4px;background:rgba(0,0,0,.65);font:12px/1.5 ui-monospace,monospace;white-space:pre;display:none}
+#stats.show{display:block}
+body.embed #bar{opacity:0;transition:opacity .2s}
+body.embed #wrap:hover #bar{opacity:.85}
+</style>
+</head>
+<body>
+<div id="wrap">
+<video id="v" playsinline></video>
+<div id="banner"></div>
+<button id="play" type="button" aria-label="Play">&#9654;</button>
+<div id="bar">
+<select id="quality" title="Quality" hidden></select>
+<button id="score" type="button" title="Live score" hidden>Score</button>
+<button id="info" type="button" title="Stats (i)">i</button>
+</div>
+<div id="stats"></div>
+</div>
+<script src="${hlsSrc}"></script>
+<script>
+(function () {
+  var config = ${inlineJson(config)};
+  var opts = config.options;
+  var video = document.getElementById('v');
+  var banner = document.getElementById('banner');
+  var playButton = document.getElementById('play');
+  var qualityMenu = document.getElementById('quality');
+  var scoreButton = document.getElementById('score');
+  var statsBox = document.getElementById('stats');
+  var src = '/live/' + config.eventPath + '/playlist.m3u8' + config.query;
+  var hls = null;
+  var attempts = 0; // recoveries since playback last worked
+  var retryTimer = null;
+  var mediaErrorAt = 0;
+  var streamState = null;
+  var viewers = null;
+
+  if (opts.embed) document.body.classList.add('embed');
+  video.controls = opts.controls;
+  video.muted = opts.muted;
+  if (opts.stats) statsBox.classList.add('show');
+
+  function showBanner(text) {
+    banner.textContent = text;
+    banner.classList.add('show');
+  }
+  function hideBanner() {
+    banner.classList.remove('show');
+  }
+
+  function backoffMs() {
+    return Math.min(30000, 1000 * Math.pow(2, attempts));
+  }
+
+  // Prepare (or re-prepare) the session; true when the stream is ready
+  function prepare() {
+    return fetch('/prepare/' + config.eventPath + config.query)
+      .then(function (res) { return res.ok; })
+      .catch(function () { return false; });
+  }
+
+  // Re-prepare and reload from scratch, retrying with backoff until it works
+  function reconnect(reason) {
+    if (retryTimer || streamState === 'ended') return;
+    attempts++;
+    var delay = backoffMs();
+    showBanner('Reconnecting\\u2026');
+    console.warn('player: reconnecting (' + reason + ') in ' + delay + 'ms');
+    retryTimer = setTimeout(function () {
+      retryTimer = null;
+      prepare().then(function (ready) {
+        if (!ready) return reconnect('prepare failed');
+        load();
+      });
+    }, delay);
+  }
+
+  function playing() {
+    attempts = 0;
+    if (streamState !== 'ended') hideBanner();
+    playButton.style.display = 'none';
+  }
+
+  function tryPlay() {
+    var started = video.play();
+    if (started && started.catch) {
+      started.catch(function () { playButton.style.display = 'block'; });
+    }
+  }
+
+  function startLevel(levels) {
+    if (opts.quality === 'auto' || !levels.length) return -1;
+    var order = levels.map(function (l, i) { return i; });
+    order.sort(function (a, b) { return levels[a].bitrate - levels[b].bitrate; });
+    if (opts.quality === 'lowest') return order[0];
+    if (opts.quality === 'highest') return order[order.length - 1];
+    // tallest variant not above the requested height
+    var wanted = Number(opts.quality);
+    var pick = order[0];
+    order.forEach(function (i) { if ((levels[i].height || 0) <= wanted) pick = i; });
+    return pick;
+  }
+
+  function buildQualityMenu() {
+    var levels = hls.levels;
+    qualityMenu.innerHTML = '';
+    var auto = document.createElement('option');
+    auto.value = '-1';
+    auto.textContent = 'Auto';
+    qualityMenu.appendChild(auto);
+    levels.forEach(function (level, i) {
+      var option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = (level.height ? level.height + 'p' : 'audio') + ' \\u00b7 ' + Math.round(level.bitrate / 1000) + ' kbps';
+      qualityMenu.appendChild(option);
+    });
+    qualityMenu.value = String(hls.autoLevelEnabled ? -1 : hls.currentLevel);
+    qualityMenu.hidden = levels.length < 2;
+  }
+
+  function load() {
+    if (hls) {
+      hls.destroy();
+      hls = null;
+    }
+    if (!window.Hls || !Hls.isSupported()) return loadNative();
+
+    hls = new Hls({ lowLatencyMode: true, liveDurationInfinity: true, backBufferLength: 90 });
+    hls.on(Hls.Events.MANIFEST_PARSED, function () {
+      var level = startLevel(hls.levels);
+      if (level !== -1) hls.currentLevel = level;
+      buildQualityMenu();
+      if (opts.autoplay) tryPlay();
+      else playButton.style.display = 'block';
+    });
+    hls.on(Hls.Events.LEVEL_SWITCHED, function () {
+      if (!hls.autoLevelEnabled) qualityMenu.value = String(hls.currentLevel);
+    });
+    hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, function () {
+      scoreButton.hidden = !hls.subtitleTracks.length;
+    });
+    hls.on(Hls.Events.FRAG_BUFFERED, function () {
+      if (!video.paused) playing();
+    });
+    hls.on(Hls.Events.ERROR, function (event, data) {
+      if (!data.fatal) return;
+      if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+        // twice within 3s: the codec guess was wrong, swap it before recovering again
+        var now = Date.now();
+        if (now - mediaErrorAt < 3000) hls.swapAudioCodec();
+        mediaErrorAt = now;
+        showBanner('Recovering\\u2026');
+        hls.recoverMediaError();
+        return;
+      }
+      reconnect(data.details);
+    });
+    hls.loadSource(src);
+    hls.attachMedia(video);
+  }
+
+  // Safari / iOS: the browser plays HLS itself, recovery is a re-prepare and reload
+  function loadNative() {
+    video.src = src;
+    video.onloadedmetadata = function () {
+      if (opts.autoplay) tryPlay();
+      else playButton.style.display = 'block';
+    };
+    video.onerror = function () { reconnect('native playback error'); };
+  }
+
+  video.addEventListener('playing', playing);
+  video.addEventListener('click', function () {
+    if (opts.controls) return;
+    if (video.paused) tryPlay(); else video.pause();
+  });
+  playButton.addEventListener('click', function () {
+    playButton.style.display = 'none';
+    tryPlay();
+  });
+  qualityMenu.addEventListener('change', function () {
+    if (hls) hls.currentLevel = Number(qualityMenu.value); // -1: back to auto
+  });
+  scoreButton.addEventListener('click', function () {
+    if (!hls || !hls.subtitleTracks.length) return;
+    var on = hls.subtitleTrack === -1;
+    hls.subtitleDisplay = on;
+    hls.subtitleTrack = on ? 0 : -1;
+    scoreButton.style.borderColor = on ? '#fff' : '';
+  });
+  document.getElementById('info').addEventListener('click', function () { statsBox.classList.toggle('show'); });
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'i') statsBox.classList.toggle('show');
+  });
+
+  // Stats overlay
+  function bufferAhead() {
+    for (var i = 0; i < video.buffered.length; i++) {
+      if (video.buffered.start(i) <= video.currentTime && video.currentTime <= video.buffered.end(i)) {
+        return video.buffered.end(i) - video.currentTime;
+      }
+    }
+    return 0;
+  }
+  setInterval(function () {
+    if (!statsBox.classList.contains('show')) return;
+    var lines = [];
+    var level = hls && hls.levels[hls.currentLevel];
+    if (hls) lines.push('latency   ' + (hls.latency ? hls.latency.toFixed(1) + 's' : '-') + (hls.targetLatency ? ' (target ' + hls.targetLatency.toFixed(1) + 's)' : ''));
+    lines.push('buffer    ' + bufferAhead().toFixed(1) + 's');
+    if (level) lines.push('variant   ' + (level.height ? level.width + 'x' + level.height : 'audio') + ' @ ' + Math.round(level.bitrate / 1000) + ' kbps' + (hls.autoLevelEnabled ? ' (auto)' : ''));
+    if (hls) lines.push('bandwidth ' + Math.round(hls.bandwidthEstimate / 1000) + ' kbps est.');
+    var quality = video.getVideoPlaybackQuality && video.getVideoPlaybackQuality();
+    if (quality) lines.push('dropped   ' + quality.droppedVideoFrames + ' / ' + quality.totalVideoFrames + ' frames');
+    if (streamState) lines.push('stream    ' + streamState);
+    if (viewers !== null) lines.push('viewers   ' + viewers);
+    statsBox.textContent = lines.join('\\n');
+  }, 1000);
+
+  // Live state feed (EventSource reconnects by itself)
+  if (window.EventSource) {
+    var feed = new EventSource('/api/live/' + config.eventPath + '/events' + config.query);
+    feed.addEventListener('state', function (e) {
+      var data = JSON.parse(e.data);
+      streamState = data.state;
+      if (data.state === 'ended') showBanner('Stream ended');
+      else if (data.state === 're-preparing') showBanner('Reconnecting\\u2026');
+      else if (data.state === 'stalled') showBanner('Stream stalled, waiting for the broadcast\\u2026');
+      else if (data.state === 'live' && !retryTimer && !video.paused) hideBanner();
+    });
+    feed.addEventListener('viewers', function (e) {
+      viewers = JSON.parse(e.data).viewers;
+    });
+  }
+
+  showBanner('Loading\\u2026');
+  prepare().then(function (ready) {
+    if (!ready) return reconnect('prepare failed');
+    hideBanner();
+    load();
+  });
+})();
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,165 @@
+/**
+ * Short-TTL playlist cache with coalesced upstream polling
+ *
+ * - One upstream poll per playlist per window, shared by all viewers:
+ *   media playlists use their #EXT-X-TARGETDURATION (LL-HLS: PART-TARGET), master playlists a fixed window
+ * - Concurrent polls for the same key wait on the same upstream request
+ * - The rewritten text is reused until the playlist version changes
+ *   (#EXT-X-MEDIA-SEQUENCE, segment count or #EXT-X-ENDLIST), so steady polling doesn't re-rewrite;
+ *   maxRewriteAgeMs forces a fresh rewrite anyway (signed URLs inside it expire)
+ * - isStalled(key): a live media playlist whose version hasn't moved for several target durations
+ * - getBlocking(): LL-HLS blocking reloads (_HLS_msn/_HLS_part), answered from the cache when it already
+ *   holds the requested segment/part, otherwise by one shared upstream blocking request; a request without
+ *   _HLS_msn (delta update, _HLS_skip only) doesn't block and is a hit on any fresh entry, like get();
+ *   an _HLS_msn more than two segments past a cached live media playlist is refused (RFC 8216bis 6.2.5.2: 400)
+ *   instead of holding an upstream request for a segment that is minutes away
+ */
+
+import { LRUCache } from 'lru-cache';
+import { playlistPosition, satisfies, partTargetMs } from './llhls.js';
+
+const MIN_WINDOW_MS = 1000;
+const MIN_PART_WINDOW_MS = 200;
+const MAX_WINDOW_MS = 10000;
+const MASTER_WINDOW_MS = 10000;
+const MAX_MSN_AHEAD = 2; // a server may answer 400 to a blocking reload further ahead than this
+
+// Version string that changes whenever a live playlist moves forward
+export function playlistVersion(text) {
+    const sequence = text.match(/#EXT-X-MEDIA-SEQUENCE:\s*(\d+)/)?.[1] ?? '';
+    const segments = (text.match(/^#EXTINF:/gm) || []).length;
+    const parts = (text.match(/^#EXT-X-PART:/gm) || []).length;
+    const ended = /^#EXT-X-ENDLIST/m.test(text) ? 'end' : '';
+    return parts ? `${sequence}:${segments}:${parts}:${ended}` : `${sequence}:${segments}:${ended}`;
+}
+
+function targetDurationMs(text) {
+    const targetDuration = Number(text.match(/#EXT-X-TARGETDURATION:\s*(\d+(?:\.\d+)?)/)?.[1]);
+    return targetDuration ? targetDuration * 1000 : null;
+}
+
+// How long one upstream poll is shared for
+export function pollWindowMs(text) {
+    const partTarget = partTargetMs(text);
+    if (partTarget) return Math.min(MAX_WINDOW_MS, Math.max(MIN_PART_WINDOW_MS, partTarget));
+    const targetMs = targetDurationMs(text);
+    if (!targetMs) return MASTER_WINDOW_MS;
+    return Math.min(MAX_WINDOW_MS, Math.max(MIN_WINDOW_MS, targetMs));
+}
+
+export function createPlaylistCache({ max = 500, staleTtlMs = 5 * 60 * 1000, maxRewriteAgeMs = Infinity } = {}) {
+    // Entries outlive their poll window so the previous version/rewrite can be compared and reused
+    const entries = new LRUCache({ max, ttl: staleTtlMs });
+    const inflight = new Map(); // key -> Promise<entry>
+    const counters = { hits: 0, misses: 0, coalesced: 0, rewrites: 0 };
+
+    function isFresh(entry) {
+        return Date.now() - entry.fetchedAt < entry.windowMs;
+    }
+
+    async function poll(key, fetchText, rewrite) {
+        const raw = await fetchText();
+        if (/^#EXT-X-SKIP/m.test(raw)) {
+            // delta update (_HLS_skip): only valid for the request that asked for it, never cached
+            counters.rewrites++;
+            return { text: rewrite(raw) };
+        }
+        const previous = entries.get(key);
+        const version = playlistVersion(raw);
+
+        const now = Date.now();
+
+        let text;
+        let rewrittenAt;
+        if (previous && previous.version === version && now - previous.rewrittenAt < maxRewriteAgeMs) {
+            text = previous.text;
+            rewrittenAt = previous.rewrittenAt;
+        } else {
+            text = rewrite(raw);
+            rewrittenAt = now;
+            counters.rewrites++;
+        }
+
+        const entry = {
+            text,
+            version,
+            rewrittenAt,
+            fetchedAt: now,
+            changedAt: previous && previous.version === version ? previous.changedAt : now,
+            windowMs: pollWindowMs(raw),
+            stallWindowMs: targetDurationMs(raw) || pollWindowMs(raw),
+            position: playlistPosition(raw),
+            live: /#EXT-X-TARGETDURATION/.test(raw) && !/^#EXT-X-ENDLIST/m.test(raw)
+        };
+        entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Rewritten playlist text for key
+     * - fetchText(): resolves to the raw upstream playlist (throws on upstream failure)
+     * - rewrite(raw): returns the proxied playlist text
+     */
+    async function get(key, fetchText, rewrite) {
+        const entry = entries.get(key);
+        if (entry && isFresh(entry)) {
+            counters.hits++;
+            return entry.text;
+        }
+
+        let ongoing = inflight.get(key);
+        if (ongoing) {
+            counters.coalesced++;
+        } else {
+            counters.misses++;
+            ongoing = poll(key, fetchText, rewrite).finally(() => inflight.delete(key));
+            inflight.set(key, ongoing);
+        }
+        return (await ongoing).text;
+    }
+
+    /**
+     * LL-HLS blocking reload for key
+     * - request: { msn, part, skip } (see llhls.js blockingRequest)
+     * - fetchBlocking(): resolves to the raw upstream playlist fetched with the same _HLS_* params
+     *   (the upstream holds it until the part exists); the answer also refreshes the shared entry
+     * - throws code EBLOCKINGAHEAD when request.msn is too far past the cached live media playlist
+     */
+    async function getBlocking(key, request, fetchBlocking, rewrite) {
+        const entry = entries.get(key);
+        // the full playlist is a valid answer to a delta update request
+        if (entry && (request.msn === undefined ? isFresh(entry) : satisfies(entry.position, request))) {
+            counters.hits++;
+            return entry.text;
+        }
+        if (entry?.live && request.msn > entry.position.lastMsn + MAX_MSN_AHEAD) {
+            const err = new Error(`_HLS_msn ${request.msn} is more than ${MAX_MSN_AHEAD} segments past ${entry.position.lastMsn}`);
+            err.code = 'EBLOCKINGAHEAD';
+            throw err;
+        }
+
+        const flightKey = `${key}|${request.msn}|${request.part ?? ''}|${request.skip ?? ''}`;
+        let ongoing = inflight.get(flightKey);
+        if (ongoing) {
+            counters.coalesced++;
+        } else {
+            counters.misses++;
+            ongoing = poll(key, fetchBlocking, rewrite).finally(() => inflight.delete(flightKey));
+            inflight.set(flightKey, ongoing);
+        }
+        return (await ongoing).text;
+    }
+
+    // True when a live media playlist hasn't changed for `windows` target durations
+    function isStalled(key, windows = 3) {
+        const entry = entries.get(key);
+        if (!entry || !entry.live) return false;
+        return Date.now() - entry.changedAt > windows * entry.stallWindowMs;
+    }
+
+    function stats() {
+        return { ...counters, items: entries.size, inflight: inflight.size };
+    }
+
+    return { get, getBlocking, isStalled, stats };
+}
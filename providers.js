@@ -0,0 +1,177 @@
+/**
+ * Upstream provider registry
+ *
+ * Each provider describes one stream source:
+ * - key: short id used in routes, e.g. /live/:provider/:eventId/playlist.m3u8
+ * - validateEventId(eventId) -> boolean
+ * - eventUrl(eventId) -> page that sets cookies and carries the stream link
+ * - headers: provider-specific headers (Referer/Origin) merged over the browser-like defaults
+ * - extract({ html, $, pageUrl, fetchText }) -> stream URL candidates (absolute or relative to pageUrl):
+ *   a string, an array of strings, or an array of { url, via } where `via` names the extraction path
+ * - optional schedule (GET /api/events, see schedule.js):
+ *   listingUrl() -> page listing the provider's events
+ *   listEvents({ html, $, pageUrl, fetchText }) -> [{ eventId, title, teams, competition, startTime, live, finished }]
+ *   listingTimezone: timezone of start times without an explicit offset (default UTC)
+ * - optional live score (GET /api/score, score subtitles, see score.js):
+ *   score({ html, $, pageUrl, fetchText }) -> { teams: [{ name, score, overs }], status, summary } or null
+ *   scoreUrl(eventId) -> page carrying the score (default: eventUrl)
+ *
+ * Routes without a provider segment fall back to DEFAULT_PROVIDER so old URLs keep working.
+ */
+
+import * as cheerio from 'cheerio';
+import { URL } from 'url';
+
+const providers = new Map(); // key -> provider
+const MAX_IFRAMES = 3;
+
+export const DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || 'livetvapi';
+
+export function registerProvider(provider) {
+    if (!provider || !provider.key) throw new Error('provider.key is required');
+    if (typeof provider.eventUrl !== 'function') throw new Error(`provider ${provider.key}: eventUrl() is required`);
+    if (typeof provider.extract !== 'function') throw new Error(`provider ${provider.key}: extract() is required`);
+
+    providers.set(provider.key, {
+        validateEventId: (eventId) => /^\d+$/.test(eventId),
+        headers: {},
+        ...provider
+    });
+}
+
+// Returns the provider for a key (or the default one when key is empty), null if unknown
+export function getProvider(key) {
+    return providers.get(key || DEFAULT_PROVIDER) || null;
+}
+
+export function listProviders() {
+    return [...providers.keys()];
+}
+
+/* ================== EXTRACTION HELPERS ================== */
+
+const M3U8_RE = /https?:\/\/[^\s'"]+\.m3u8/g;
+
+// All .m3u8 links found anywhere in raw text
+export function matchM3u8(text) {
+    return typeof text === 'string' ? text.match(M3U8_RE) || [] : [];
+}
+
+/**
+ * Generic event-card scrape for listing pages
+ * - every link matching linkRe (first group = eventId) is one event
+ * - details come from the closest card element around the link, by common class names / attributes
+ */
+export function scrapeEventCards($, linkRe) {
+    const events = new Map(); // eventId -> raw event
+
+    $('a[href]').each((i, el) => {
+        const eventId = linkRe.exec($(el).attr('href'))?.[1];
+        if (!eventId || events.has(eventId)) return;
+
+        const card = $(el).closest('[data-event-id], .event, .match, .card, li, tr');
+        const scope = card.length ? card : $(el);
+        const text = (selector) => scope.find(selector).first().text().replace(/\s+/g, ' ').trim();
+        const timeEl = scope.find('time[datetime], [data-start-time], [data-time], [data-start]').first();
+
+        const teams = scope.find('.team, .team-name').toArray().slice(0, 2).map((t) => $(t).text().trim());
+
+        events.set(eventId, {
+            eventId,
+            title:
+                text('.title, .event-title, .match-title, .teams, h3, h4') ||
+                $(el).attr('title') ||
+                (teams.length === 2 ? teams.join(' vs ') : $(el).text().replace(/\s+/g, ' ').trim()),
+            teams,
+            competition: text('.competition, .league, .tournament, .category, .series'),
+            startTime:
+                timeEl.attr('datetime') ||
+                timeEl.attr('data-start-time') ||
+                timeEl.attr('data-time') ||
+                timeEl.attr('data-start') ||
+                text('.time, .start-time, .date'),
+            live: scope.is('.live, .is-live') || scope.find('.live, .is-live, .live-badge').length > 0 || /\blive\b/i.test(text('.status, .badge')),
+            finished: scope.is('.finished, .ended, .is-finished') || /\b(finished|ended|full[- ]time|ft)\b/i.test(text('.status, .badge'))
+        });
+    });
+
+    return [...events.values()];
+}
+
+/**
+ * Generic scoreboard scrape for event pages
+ * - the first scoreboard-like block; one entry per team / innings row inside it
+ * - a row without .name/.score children is read as "<name> <score> (<overs>)" text
+ */
+export function scrapeScore($) {
+    const board = $('.scoreboard, .score-card, .scorecard, .live-score, #score, [data-score]').first();
+    if (!board.length) return null;
+    const text = (scope, selector) => scope.find(selector).first().text().replace(/\s+/g, ' ').trim();
+
+    const teams = board.find('.team, .team-score, .innings').toArray().slice(0, 2).map((el) => {
+        const row = $(el);
+        const name = text(row, '.name, .team-name');
+        const score = text(row, '.score, .runs');
+        if (name || score) return { name, score, overs: text(row, '.overs').replace(/[()]/g, '') };
+
+        const match = /^(.*?)\s+(\d+(?:\/\d+)?)(?:\s*\(([\d.]+)(?:\s*ov(?:ers)?)?\))?$/i.exec(row.text().replace(/\s+/g, ' ').trim());
+        return match ? { name: match[1], score: match[2], overs: match[3] || '' } : { name: row.text().trim(), score: '', overs: '' };
+    });
+
+    return {
+        teams,
+        status: text(board, '.status, .state, .badge'),
+        summary: text(board, '.summary, .result, .comment, .equation') || board.attr('data-score') || ''
+    };
+}
+
+/* ================== BUILT-IN PROVIDERS ================== */
+
+// livetvapi: every input#stream-link, iframe (input#stream-link or regex) and regex match in the page.
+// Mirrors are collected in that order; prepareEvent probes and ranks them.
+// Schedule: event cards linking to /event-play-2/:id on the app's landing page.
+// Score: the scoreboard block of the event page, when it has one.
+registerProvider({
+    key: 'livetvapi',
+    eventUrl: (eventId) => `https://app.livetvapi.com/event-play-2/${eventId}`,
+    listingUrl: () => 'https://app.livetvapi.com/',
+    listingTimezone: 'UTC',
+    listEvents: ({ $ }) => scrapeEventCards($, /\/event-play-2\/(\d+)/),
+    score: ({ $ }) => scrapeScore($),
+    headers: {
+        Referer: 'https://app.livetvapi.com/',
+        Origin: 'https://app.livetvapi.com'
+    },
+    async extract({ html, $, pageUrl, fetchText }) {
+        const found = [];
+
+        // primary: input#stream-link
+        $('input#stream-link').each((i, el) => {
+            const value = $(el).attr('value');
+            if (value) found.push({ url: value, via: 'stream-link' });
+        });
+
+        // iframe src -> fetch iframe
+        for (const el of $('iframe[src]').toArray().slice(0, MAX_IFRAMES)) {
+            const src = $(el).attr('src');
+            try {
+                const iframeUrl = new URL(src, pageUrl).toString();
+                const iframeRes = await fetchText(iframeUrl);
+                if (iframeRes.status !== 200) continue;
+                const $ifr = cheerio.load(iframeRes.data);
+                $ifr('input#stream-link').each((i, input) => {
+                    const value = $ifr(input).attr('value');
+                    if (value) found.push({ url: value, via: 'iframe' });
+                });
+                for (const url of matchM3u8(iframeRes.data)) found.push({ url, via: 'iframe' });
+            } catch (err) {
+                console.error(`livetvapi iframe fetch failed ${src}:`, err.message);
+            }
+        }
+
+        // regex in initial HTML
+        for (const url of matchM3u8(html)) found.push({ url, via: 'regex' });
+
+        return found;
+    }
+});
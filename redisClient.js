@@ -0,0 +1,174 @@
+/**
+ * Minimal Redis-protocol (RESP2) client
+ *
+ * Just enough for the session store: one connection, pipelined commands, lazy (re)connect.
+ * A command without a reply within commandTimeoutMs fails with code EREDISTIMEOUT and drops the
+ * connection (replies are matched by order, a late one would answer the wrong command); a dropped or
+ * failed connection rejects every command still waiting, the next command reconnects.
+ * Works with Redis, Valkey, KeyDB, Dragonfly and other RESP-speaking servers.
+ * URL: redis://[user:pass@]host:port[/db] (rediss:// for TLS)
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { URL } from 'url';
+
+export function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+// Parse one reply from buf at offset; returns { value, offset } or null when incomplete
+export function parseReply(buf, offset) {
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-': {
+            const err = new Error(line);
+            err.redisError = true;
+            return { value: err, offset: next };
+        }
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const len = Number(line);
+            if (len === -1) return { value: null, offset: next };
+            if (buf.length < next + len + 2) return null;
+            return { value: buf.toString('utf8', next, next + len), offset: next + len + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let pos = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buf, pos);
+                if (!item) return null;
+                items.push(item.value);
+                pos = item.offset;
+            }
+            return { value: items, offset: pos };
+        }
+        default:
+            throw new Error(`Unexpected RESP type ${type}`);
+    }
+}
+
+export function createRedisClient(redisUrl, { connectTimeoutMs = 5000, commandTimeoutMs = 2000 } = {}) {
+    const url = new URL(redisUrl);
+    const db = Number(url.pathname.slice(1)) || 0;
+    let socket = null;
+    let connecting = null;
+    let buffer = Buffer.alloc(0);
+    const pending = []; // { resolve, reject, timer }
+
+    function failAll(err) {
+        while (pending.length) {
+            const waiter = pending.shift();
+            clearTimeout(waiter.timer);
+            waiter.reject(err);
+        }
+    }
+
+    // Forget the current connection and everything waiting on it
+    function drop(err) {
+        const s = socket;
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failAll(err);
+        s?.destroy();
+    }
+
+    function onData(chunk) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        let offset = 0;
+        while (offset < buffer.length) {
+            const reply = parseReply(buffer, offset);
+            if (!reply) break;
+            offset = reply.offset;
+            const waiter = pending.shift();
+            if (!waiter) continue;
+            clearTimeout(waiter.timer);
+            if (reply.value instanceof Error) waiter.reject(reply.value);
+            else waiter.resolve(reply.value);
+        }
+        buffer = buffer.subarray(offset);
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const err = new Error(`Redis ${args[0]} timed out after ${commandTimeoutMs}ms`);
+                err.code = 'EREDISTIMEOUT';
+                console.error(`${err.message}, dropping the connection`);
+                drop(err);
+            }, commandTimeoutMs);
+            pending.push({ resolve, reject, timer });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function connect() {
+        if (socket) return Promise.resolve();
+        if (connecting) return connecting;
+
+        connecting = new Promise((resolve, reject) => {
+            const options = { host: url.hostname, port: Number(url.port) || 6379 };
+            const s = url.protocol === 'rediss:' ? tls.connect({ ...options, servername: url.hostname }) : net.connect(options);
+            const timer = setTimeout(() => s.destroy(new Error('Redis connect timeout')), connectTimeoutMs);
+
+            s.once(url.protocol === 'rediss:' ? 'secureConnect' : 'connect', async () => {
+                clearTimeout(timer);
+                socket = s;
+                try {
+                    if (url.password) {
+                        const user = decodeURIComponent(url.username || '');
+                        const pass = decodeURIComponent(url.password);
+                        await send(user ? ['AUTH', user, pass] : ['AUTH', pass]);
+                    }
+                    if (db) await send(['SELECT', db]);
+                    resolve();
+                } catch (err) {
+                    s.destroy(err);
+                    reject(err);
+                }
+            });
+            s.on('data', onData);
+            s.on('error', (err) => {
+                clearTimeout(timer);
+                console.error('Redis connection error:', err.message);
+                if (socket === s) drop(err);
+                reject(err);
+            });
+            s.on('close', () => {
+                // a connection we dropped already (a newer one may be up by now)
+                if (socket === s) drop(new Error('Redis connection closed'));
+            });
+        }).finally(() => {
+            connecting = null;
+        });
+        return connecting;
+    }
+
+    // Run one command, e.g. command('SET', key, value, 'PX', 1000)
+    async function command(...args) {
+        await connect();
+        return send(args);
+    }
+
+    function close() {
+        if (socket) socket.end();
+    }
+
+    return { command, close };
+}
@@ -0,0 +1,85 @@
+/**
+ * Match schedule for GET /api/events
+ *
+ * - Providers with a listing implement listingUrl() and listEvents({ html, $, pageUrl, fetchText }),
+ *   returning raw events: { eventId, title?, teams?: [home, away], competition?, startTime?, live?, finished? }
+ *   (startTime: epoch s/ms or a date string in the provider's listingTimezone, default UTC)
+ * - normalizeEvents(): teams from the title ("A vs B") when missing, start time converted to the
+ *   display timezone, status live | upcoming | finished. Without a flag from the provider, an event is
+ *   live from its start until durationMs has passed (listings lag behind kick-off), finished after that
+ * - filterEvents(): by date (YYYY-MM-DD in the display timezone) and status
+ */
+
+import moment from 'moment-timezone';
+
+export const EVENT_STATUSES = ['live', 'upcoming', 'finished'];
+
+// Formats seen on listing pages besides ISO 8601 (which may carry its own offset)
+const TIME_FORMATS = [moment.ISO_8601, 'YYYY-MM-DD HH:mm', 'DD/MM/YYYY HH:mm', 'DD MMM YYYY HH:mm', 'MMM D, YYYY h:mm A'];
+const TEAMS_RE = /^(.+?)\s+(?:vs\.?|v)\s+(.+)$/i;
+export const DEFAULT_EVENT_DURATION_MS = 4 * 60 * 60 * 1000;
+
+// Start time as a moment in sourceTz, or null when missing/unparseable
+export function parseStartTime(value, sourceTz) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        const n = Number(value);
+        return moment(n < 1e12 ? n * 1000 : n); // epoch seconds or ms
+    }
+    const parsed = moment.tz(String(value).trim(), TIME_FORMATS, sourceTz);
+    return parsed.isValid() ? parsed : null;
+}
+
+function splitTeams(title) {
+    const match = TEAMS_RE.exec(title || '');
+    return match ? [match[1].trim(), match[2].trim()] : [];
+}
+
+/**
+ * Raw provider events -> API shape, sorted by start time (unknown times last)
+ * - tz: display timezone (IANA name, e.g. Asia/Kolkata)
+ * - durationMs: how long after its start an unflagged event still counts as live
+ */
+export function normalizeEvents(raw, { provider, sourceTz = 'UTC', tz, durationMs = DEFAULT_EVENT_DURATION_MS, now = Date.now() }) {
+    const events = [];
+    const seen = new Set();
+
+    for (const item of raw || []) {
+        const eventId = item?.eventId !== undefined ? String(item.eventId) : '';
+        if (!eventId || seen.has(eventId)) continue;
+        seen.add(eventId);
+
+        const title = (item.title || '').replace(/\s+/g, ' ').trim();
+        const teams = item.teams?.length === 2 ? item.teams.map((t) => String(t).trim()) : splitTeams(title);
+        const start = parseStartTime(item.startTime, sourceTz);
+        const startsAt = start ? start.valueOf() : null;
+
+        let status;
+        if (item.live) status = 'live';
+        else if (item.finished) status = 'finished';
+        else if (startsAt === null || startsAt > now) status = 'upcoming';
+        else if (now - startsAt < durationMs) status = 'live';
+        else status = 'finished';
+
+        events.push({
+            provider,
+            eventId,
+            title: title || (teams.length ? teams.join(' vs ') : null),
+            teams: teams.length ? { home: teams[0], away: teams[1] } : null,
+            competition: item.competition?.trim() || null,
+            startsAt,
+            startTime: start ? start.clone().tz(tz).format() : null, // ISO 8601 with the display offset
+            date: start ? start.clone().tz(tz).format('YYYY-MM-DD') : null,
+            timezone: tz,
+            status,
+            live: status === 'live'
+        });
+    }
+
+    return events.sort((a, b) => (a.startsAt ?? Infinity) - (b.startsAt ?? Infinity));
+}
+
+// date: YYYY-MM-DD (display timezone), status: one of EVENT_STATUSES; both optional
+export function filterEvents(events, { date, status } = {}) {
+    return events.filter((e) => (!date || e.date === date) && (!status || e.status === status));
+}
@@ -0,0 +1,186 @@
+/**
+ * Event scheduler (replaces the fixed keep-alive pinger)
+ *
+ * Every tick:
+ * - pre-warm: events from upcoming() starting within leadMs are prepared ahead of their start
+ *   (failures are retried every PREWARM_RETRY_MS until the start grace window has passed)
+ * - refresh: cached sessions from active() (watched or pinned) whose cache TTL drops below refreshAheadSec
+ *   are re-prepared, so a viewer never meets an expired session and a cold prepare; after a failed refresh
+ *   the event waits REFRESH_RETRY_MS, doubling per failure up to REFRESH_MAX_RETRY_MS, before the next one.
+ *   A session refreshed less than refreshAheadSec ago is left alone, even when its TTL is shorter than that
+ *   (a stream URL that expires within minutes would otherwise be re-scraped every tick)
+ * - keep awake: while an event is watched, live, or starts within keepAwakeLeadMs, and only inside
+ *   activeHours, selfUrl/health is pinged every 12-14 minutes (free hosts sleep after ~15 idle minutes)
+ *
+ * upcoming() -> [{ provider, eventId, startsAt, status }]   (configured + discovered events)
+ * active()   -> [{ provider, eventId, ttlSec, cached }]      (cached false: nothing to refresh, ttlSec 0)
+ * prepare(provider, eventId, { force }) -> Promise
+ */
+
+import axios from 'axios';
+import moment from 'moment-timezone';
+
+const PREWARM_RETRY_MS = 2 * 60 * 1000;
+const REFRESH_RETRY_MS = 60 * 1000;
+const REFRESH_MAX_RETRY_MS = 10 * 60 * 1000;
+const START_GRACE_MS = 30 * 60 * 1000; // keep pre-warming this long after the listed start
+const PING_MIN_INTERVAL_MS = 12 * 60 * 1000;
+const PING_MAX_INTERVAL_MS = 14 * 60 * 1000;
+
+// "9-24" -> { start: 9, end: 24 }; end < start wraps past midnight ("18-2")
+export function parseActiveHours(value) {
+    const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(value || '');
+    if (!match) throw new Error(`Invalid ACTIVE_HOURS "${value}" (expected e.g. 9-24)`);
+    return { start: Number(match[1]), end: Number(match[2]) };
+}
+
+function randomPingInterval() {
+    return Math.floor(Math.random() * (PING_MAX_INTERVAL_MS - PING_MIN_INTERVAL_MS + 1) + PING_MIN_INTERVAL_MS);
+}
+
+export function createScheduler({
+    upcoming,
+    active,
+    prepare,
+    selfUrl,
+    activeHours,
+    timezone,
+    tickMs = 30 * 1000,
+    leadMs = 5 * 60 * 1000,
+    refreshAheadSec = 90,
+    keepAwakeLeadMs = 30 * 60 * 1000
+}) {
+    const lastAttempt = new Map(); // provider/eventId -> last pre-warm attempt
+    const refreshBackoff = new Map(); // provider/eventId -> { failures, retryAt } after failed refreshes
+    const refreshedAt = new Map(); // provider/eventId -> last successful refresh
+    const running = new Set(); // provider/eventId being prepared by the scheduler
+    const stats = { prewarmed: 0, refreshed: 0, failures: 0, pings: 0 };
+    let timer = null;
+    let ticking = false;
+    let nextPingAt = 0;
+    let lastTickAt = null;
+    let awake = false;
+
+    function isActiveHour(now = Date.now()) {
+        const hour = moment(now).tz(timezone).hour();
+        const { start, end } = activeHours;
+        return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+    }
+
+    // Prepare in the background, one run per event at a time
+    function run(kind, provider, eventId, options) {
+        const key = `${provider}/${eventId}`;
+        if (running.has(key)) return;
+        running.add(key);
+        prepare(provider, eventId, options)
+            .then(() => {
+                stats[kind]++;
+                if (kind === 'refreshed') {
+                    refreshBackoff.delete(key);
+                    refreshedAt.set(key, Date.now());
+                }
+                console.log(`🗓️ Scheduler ${kind === 'refreshed' ? 'refreshed' : 'pre-warmed'} ${key}`);
+            })
+            .catch((err) => {
+                stats.failures++;
+                if (kind === 'refreshed') {
+                    const failures = (refreshBackoff.get(key)?.failures || 0) + 1;
+                    const delayMs = Math.min(REFRESH_MAX_RETRY_MS, REFRESH_RETRY_MS * 2 ** (failures - 1));
+                    refreshBackoff.set(key, { failures, retryAt: Date.now() + delayMs });
+                    console.error(`🗓️ Scheduler ${kind} ${key} failed (retry in ${Math.round(delayMs / 1000)}s):`, err.message);
+                } else {
+                    console.error(`🗓️ Scheduler ${kind} ${key} failed:`, err.message);
+                }
+            })
+            .finally(() => running.delete(key));
+    }
+
+    async function ping() {
+        const timeNow = moment().tz(timezone).format('HH:mm');
+        try {
+            await axios.get(`${selfUrl}/health`, { timeout: 10000 });
+            stats.pings++;
+            console.log(`✅ [${timeNow}] Keep-awake ping`);
+        } catch (err) {
+            console.error(`❌ [${timeNow}] Keep-awake ping failed:`, err.message);
+        }
+    }
+
+    async function tick() {
+        if (ticking) return;
+        ticking = true;
+        const now = Date.now();
+        lastTickAt = now;
+        try {
+            const [events, sessions] = await Promise.all([
+                upcoming().catch((err) => {
+                    console.error('Scheduler: event listing failed:', err.message);
+                    return [];
+                }),
+                active()
+            ]);
+
+            // pre-warm events about to start
+            for (const e of events) {
+                if (!e.startsAt || e.status === 'finished') continue;
+                if (e.startsAt - now > leadMs || now - e.startsAt > START_GRACE_MS) continue;
+                const key = `${e.provider}/${e.eventId}`;
+                if (now - (lastAttempt.get(key) || 0) < PREWARM_RETRY_MS) continue;
+                lastAttempt.set(key, now);
+                run('prewarmed', e.provider, e.eventId, { force: false });
+            }
+            for (const [key, at] of lastAttempt) if (now - at > START_GRACE_MS + leadMs) lastAttempt.delete(key);
+
+            // refresh watched/pinned sessions before they expire (uncached ones are prepared by their next viewer)
+            for (const s of sessions) {
+                if (!s.cached || s.ttlSec >= refreshAheadSec) continue;
+                const key = `${s.provider}/${s.eventId}`;
+                if (now < (refreshBackoff.get(key)?.retryAt || 0)) continue;
+                if (now - (refreshedAt.get(key) || 0) < refreshAheadSec * 1000) continue;
+                run('refreshed', s.provider, s.eventId, { force: true });
+            }
+            const activeKeys = new Set(sessions.map((s) => `${s.provider}/${s.eventId}`));
+            for (const key of refreshBackoff.keys()) if (!activeKeys.has(key)) refreshBackoff.delete(key);
+            for (const key of refreshedAt.keys()) if (!activeKeys.has(key)) refreshedAt.delete(key);
+
+            // keep the instance awake only around live/imminent events
+            awake =
+                isActiveHour(now) &&
+                (sessions.length > 0 ||
+                    events.some((e) => e.status === 'live' || (e.startsAt && e.startsAt - now <= keepAwakeLeadMs && now - e.startsAt <= START_GRACE_MS)));
+            if (selfUrl && awake && now >= nextPingAt) {
+                nextPingAt = now + randomPingInterval();
+                await ping();
+            }
+        } catch (err) {
+            console.error('Scheduler tick failed:', err.message);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        console.log(
+            `🟢 Scheduler started: pre-warm ${Math.round(leadMs / 60000)} min ahead, refresh ${refreshAheadSec}s before expiry, ` +
+                (selfUrl ? `keep-awake ${selfUrl} (${activeHours.start}-${activeHours.end} ${timezone})` : 'keep-awake off (no SELF_URL)')
+        );
+        timer = setInterval(tick, tickMs);
+        timer.unref();
+        tick();
+    }
+
+    function status() {
+        return {
+            ...stats,
+            running: [...running],
+            refreshBackoff: Object.fromEntries(refreshBackoff),
+            awake,
+            activeHour: isActiveHour(),
+            lastTickAt,
+            nextPingAt: selfUrl && nextPingAt ? nextPingAt : null
+        };
+    }
+
+    return { start, status, tick };
+}
@@ -0,0 +1,151 @@
+/**
+ * Live score sidecar
+ *
+ * - normalizeScore(raw): provider score (see providers.js) -> { teams, status, summary, text }
+ * - Score subtitles: a WebVTT rendition declared in the master playlist (injectScoreRendition) whose
+ *   media playlist mirrors a video variant segment for segment (scorePlaylist); every subtitle segment is
+ *   one cue with the score as it was when the segment was first requested (webvttSegment)
+ * - Cues are placed with X-TIMESTAMP-MAP from the first PTS of the matching MPEG-TS video segment
+ *   (mpegTsFirstPts); other containers get a map-less cue starting at 0
+ */
+
+import { parsePlaylist, serializePlaylist, getAttr, setAttr, mediaSequence, targetDuration } from './m3u8.js';
+
+export const SCORE_GROUP_ID = 'score';
+const TS_PACKET = 188;
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// Raw provider score -> API shape, null when there is nothing to show
+export function normalizeScore(raw) {
+    if (!raw) return null;
+    const teams = (raw.teams || [])
+        .map((t) => ({ name: clean(t.name), score: clean(t.score), overs: clean(t.overs) || null }))
+        .filter((t) => t.name || t.score);
+    const status = clean(raw.status) || null;
+    const summary = clean(raw.summary) || null;
+    if (!teams.length && !summary) return null;
+
+    // "IND 245/3 (42.1) • AUS 310/8 — India need 66 runs"
+    const line = teams.map((t) => [t.name, t.score, t.overs && `(${t.overs})`].filter(Boolean).join(' ')).join(' • ');
+    const text = [line, summary].filter(Boolean).join(' — ');
+    return { teams, status, summary, text };
+}
+
+/* ================== MASTER PLAYLIST ================== */
+
+/**
+ * Declare the score rendition in a master playlist
+ * - variants that already reference a SUBTITLES group get the score added to that group
+ *   (a variant can name only one); the others join a new "score" group
+ * - uri(groupId) -> URL of the score media playlist
+ */
+export function injectScoreRendition(text, uri) {
+    const playlist = parsePlaylist(text);
+    const variants = playlist.items.filter((item) => item.kind === 'tag' && item.name === 'EXT-X-STREAM-INF');
+    if (!variants.length) return text;
+
+    const groups = new Set();
+    for (const variant of variants) {
+        const group = getAttr(variant, 'SUBTITLES');
+        if (group && group.toUpperCase() !== 'NONE') {
+            groups.add(group);
+        } else {
+            setAttr(variant, 'SUBTITLES', SCORE_GROUP_ID);
+            groups.add(SCORE_GROUP_ID);
+        }
+    }
+
+    const media = [...groups].map((group) => ({
+        kind: 'tag',
+        name: 'EXT-X-MEDIA',
+        dirty: true,
+        attrs: [
+            { key: 'TYPE', value: 'SUBTITLES', quoted: false },
+            { key: 'GROUP-ID', value: group, quoted: true },
+            { key: 'NAME', value: 'Live score', quoted: true },
+            { key: 'LANGUAGE', value: 'en', quoted: true },
+            { key: 'DEFAULT', value: 'NO', quoted: false },
+            { key: 'AUTOSELECT', value: 'NO', quoted: false },
+            { key: 'URI', value: uri(group), quoted: true }
+        ]
+    }));
+    // declared ahead of the first variant that refers to them
+    playlist.items.splice(playlist.items.indexOf(variants[0]), 0, ...media);
+    return serializePlaylist(playlist);
+}
+
+/* ================== SUBTITLE MEDIA PLAYLIST ================== */
+
+/**
+ * Score media playlist mirroring a (rewritten) video media playlist: same media sequence, durations,
+ * discontinuities and program dates
+ * - segmentUri({ msn, duration, uri }) -> subtitle segment URL for the video segment at uri
+ */
+export function scorePlaylist(videoText, segmentUri) {
+    const video = parsePlaylist(videoText);
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${targetDuration(video) || 6}`,
+        `#EXT-X-MEDIA-SEQUENCE:${mediaSequence(video)}`
+    ];
+
+    let msn = mediaSequence(video);
+    let duration = null;
+    let pending = [];
+    for (const item of video.items) {
+        if (item.kind === 'tag') {
+            if (item.name === 'EXT-X-DISCONTINUITY-SEQUENCE' || item.name === 'EXT-X-PLAYLIST-TYPE' || item.name === 'EXT-X-ENDLIST') {
+                lines.push(item.raw.trim());
+            } else if (item.name === 'EXT-X-DISCONTINUITY' || item.name === 'EXT-X-PROGRAM-DATE-TIME') {
+                pending.push(item.raw.trim());
+            } else if (item.name === 'EXTINF') {
+                duration = parseFloat(item.value) || 0;
+            }
+        } else if (item.kind === 'uri' && duration !== null) {
+            lines.push(...pending, `#EXTINF:${duration.toFixed(3)},`, segmentUri({ msn, duration, uri: item.uri }));
+            msn++;
+            duration = null;
+            pending = [];
+        }
+    }
+    // ENDLIST must come last
+    const end = lines.indexOf('#EXT-X-ENDLIST');
+    if (end !== -1) lines.push(...lines.splice(end, 1));
+    return lines.join('\n') + '\n';
+}
+
+// PTS (90 kHz) of the first PES packet in an MPEG-TS buffer, or null
+export function mpegTsFirstPts(buffer) {
+    for (let offset = 0; offset + TS_PACKET <= buffer.length; offset += TS_PACKET) {
+        if (buffer[offset] !== 0x47) return null;
+        const payloadStart = (buffer[offset + 1] & 0x40) !== 0;
+        const adaptation = (buffer[offset + 3] >> 4) & 0x3;
+        if (!payloadStart || !(adaptation & 0x1)) continue;
+
+        let p = offset + 4;
+        if (adaptation & 0x2) p += 1 + buffer[p];
+        // PES start code with a PTS (PTS_DTS_flags 10 or 11)
+        if (p + 14 > offset + TS_PACKET || buffer[p] !== 0 || buffer[p + 1] !== 0 || buffer[p + 2] !== 1) continue;
+        if (!(buffer[p + 7] & 0x80)) continue;
+        const b = buffer.subarray(p + 9, p + 14);
+        return (b[0] & 0x0e) * 536870912 + b[1] * 4194304 + (b[2] & 0xfe) * 16384 + b[3] * 128 + (b[4] >> 1);
+    }
+    return null;
+}
+
+function vttTime(sec) {
+    const ms = Math.round(sec * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+// One WebVTT subtitle segment: a single cue over the whole segment (no cue without a score)
+export function webvttSegment(text, { duration, pts = null }) {
+    const lines = ['WEBVTT'];
+    if (pts !== null) lines.push(`X-TIMESTAMP-MAP=MPEGTS:${pts},LOCAL:00:00:00.000`);
+    lines.push('');
+    if (text) lines.push(`00:00:00.000 --> ${vttTime(duration)} line:5% align:center`, text, '');
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,215 @@
+/**
+ * Shared segment cache with request coalescing
+ *
+ * - Bounded in-memory byte cache (LRU by size) for immutable media segments (.ts / fMP4)
+ * - In-flight dedup: the first request downloads, concurrent requests tail the same download
+ * - Counters: hits (served from memory), coalesced (joined a running download), misses (new upstream fetch)
+ * - Validation (segmentValidator.js) of media segments (segmentFormat() knows the URL or content-type):
+ *   nothing reaches a viewer before the first bytes passed the sniff; a bad head rejects the download with
+ *   code EBADSEGMENT (callers re-fetch), a length mismatch at the end fails tailing viewers and is never
+ *   cached. Rejections are counted per reason. Keys, session data and other resources pass through unchecked.
+ *
+ * Playlists that slip through (content-type mpegurl) are downloaded the same way but never stored.
+ */
+
+import { EventEmitter } from 'events';
+import { LRUCache } from 'lru-cache';
+import { SNIFF_BYTES, segmentFormat, validateSegmentHead, validateSegmentLength } from './segmentValidator.js';
+
+export function isPlaylistContentType(contentType) {
+    return typeof contentType === 'string' &&
+        (contentType.includes('application/vnd.apple.mpegurl') || contentType.includes('application/x-mpegurl'));
+}
+
+export function createSegmentCache({ maxBytes, ttlMs }) {
+    const store = new LRUCache({
+        maxSize: maxBytes,
+        sizeCalculation: (segment) => segment.buffer.length || 1,
+        ttl: ttlMs
+    });
+    const inflight = new Map(); // key -> download
+    const counters = { hits: 0, misses: 0, coalesced: 0 };
+    const invalid = {}; // reason -> count
+
+    function invalidSegment(key, reason, message) {
+        invalid[reason] = (invalid[reason] || 0) + 1;
+        console.warn(`Invalid segment (${reason}) ${key}`);
+        const err = new Error(message || `Invalid segment: ${reason}`);
+        err.code = 'EBADSEGMENT';
+        err.reason = reason;
+        return err;
+    }
+
+    // Content-Length only describes the body when axios didn't decompress it (data is then the raw response)
+    function rawContentLength(upstreamRes) {
+        return upstreamRes.data?.headers ? upstreamRes.headers['content-length'] : null;
+    }
+
+    // Start one upstream download; fetcher() must resolve to an axios response with responseType 'stream'
+    function startDownload(key, fetcher) {
+        const download = new EventEmitter();
+        download.chunks = [];
+        download.complete = false;
+        download.on('error', () => { }); // errors are surfaced to tailing responses, never thrown
+
+        download.ready = (async () => {
+            const upstreamRes = await fetcher();
+            if (upstreamRes.status >= 400) {
+                upstreamRes.data?.destroy?.();
+                const err = new Error(`Upstream segment request failed ${upstreamRes.status}`);
+                err.upstreamStatus = upstreamRes.status;
+                throw err;
+            }
+            download.contentType = upstreamRes.headers['content-type'];
+            const contentLength = rawContentLength(upstreamRes);
+            const playlist = isPlaylistContentType(download.contentType);
+            const media = !playlist && segmentFormat(key, download.contentType) !== null;
+
+            let received = 0;
+            let headSettled;
+            const headReady = new Promise((resolve) => (headSettled = resolve));
+            let headReason; // undefined until the head was checked
+            const checkHead = () => {
+                if (headReason === undefined) {
+                    headReason = media ? validateSegmentHead(Buffer.concat(download.chunks), { url: key, contentType: download.contentType }) : null;
+                }
+                return headReason;
+            };
+            download.whenComplete = new Promise((resolve, reject) => {
+                const fail = (err) => {
+                    download.error = err;
+                    inflight.delete(key);
+                    download.emit('error', err);
+                    headSettled();
+                    reject(err);
+                };
+                upstreamRes.data.on('data', (chunk) => {
+                    download.chunks.push(chunk);
+                    received += chunk.length;
+                    if (received >= SNIFF_BYTES) headSettled();
+                    download.emit('data', chunk);
+                });
+                upstreamRes.data.on('end', () => {
+                    headSettled();
+                    if (download.invalid) return;
+                    // short bodies end before the head check below ran
+                    const headError = checkHead();
+                    if (headError) return fail(invalidSegment(key, headError));
+                    const lengthError = media ? validateSegmentLength(received, contentLength) : null;
+                    if (lengthError) {
+                        return fail(invalidSegment(key, lengthError, `Segment truncated: ${received} of ${contentLength} bytes`));
+                    }
+                    const buffer = Buffer.concat(download.chunks);
+                    download.complete = true;
+                    inflight.delete(key);
+                    if (!playlist) {
+                        store.set(key, { contentType: download.contentType, buffer });
+                    }
+                    download.emit('end');
+                    resolve(buffer);
+                });
+                upstreamRes.data.on('error', fail);
+            });
+            download.whenComplete.catch(() => { });
+
+            // hold the download back from viewers until its first bytes look like media
+            await headReady;
+            if (download.error) throw download.error;
+            const reason = checkHead();
+            if (reason) {
+                download.invalid = true;
+                upstreamRes.data.destroy();
+                throw invalidSegment(key, reason);
+            }
+            return download;
+        })();
+        download.ready.catch(() => inflight.delete(key));
+
+        inflight.set(key, download);
+        return download;
+    }
+
+    // Returns a cached segment ({ contentType, buffer }) or a running download to tail
+    async function get(key, fetcher) {
+        const cached = store.get(key);
+        if (cached) {
+            counters.hits++;
+            return cached;
+        }
+
+        let download = inflight.get(key);
+        if (download) {
+            counters.coalesced++;
+        } else {
+            counters.misses++;
+            download = startDownload(key, fetcher);
+        }
+        return download.ready;
+    }
+
+    function stats() {
+        return {
+            ...counters,
+            invalid: { ...invalid },
+            items: store.size,
+            bytes: store.calculatedSize,
+            maxBytes,
+            inflight: inflight.size
+        };
+    }
+
+    return { get, stats };
+}
+
+// Full body of a segment source as a Buffer
+export function readSegment(source) {
+    return source.buffer ? Promise.resolve(source.buffer) : source.whenComplete;
+}
+
+// Write a segment source to the response; running downloads are tailed chunk by chunk
+export function sendSegment(source, res) {
+    res.setHeader('Content-Type', source.contentType || 'video/mp2t');
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (source.buffer) return res.end(source.buffer);
+
+    for (const chunk of source.chunks) res.write(chunk);
+    if (source.complete) return res.end();
+
+    const onData = (chunk) => res.write(chunk);
+    const onEnd = () => {
+        cleanup();
+        res.end();
+    };
+    const onError = (err) => {
+        cleanup();
+        console.error('Upstream stream error:', err.message);
+        if (!res.headersSent) {
+            try {
+                res.sendStatus(502);
+            } catch { }
+        } else {
+            try {
+                res.destroy();
+            } catch { }
+        }
+    };
+    const cleanup = () => {
+        source.off('data', onData);
+        source.off('end', onEnd);
+        source.off('error', onError);
+    };
+
+    if (source.error) return onError(source.error);
+
+    source.on('data', onData);
+    source.on('end', onEnd);
+    source.on('error', onError);
+
+    // Client went away: stop tailing, the download itself keeps filling the cache for other viewers
+    res.on('close', cleanup);
+    res.on('error', (err) => {
+        console.error('Response stream error:', err.message);
+        cleanup();
+    });
+}
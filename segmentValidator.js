@@ -0,0 +1,63 @@
+/**
+ * Media segment sanity checks (run on the first bytes of every upstream download segmentFormat() recognises)
+ *
+ * - content-type: HTML / JSON bodies (block pages, error documents) are never media
+ * - empty: a 200 with no body
+ * - MPEG-TS (.ts, video/mp2t): 0x47 sync byte at the start of the first two 188-byte packets
+ * - fMP4 (.m4s / .mp4 / .cmfv / .cmfa, video|audio/mp4 / iso.segment): a plausible ISO BMFF box header
+ * - length: received bytes must match Content-Length (checked once the download ends)
+ *
+ * Anything else (keys, subtitles, session data JSON, packed audio, segments disguised as images) isn't checked:
+ * a failed check there would re-fetch and fail the event over to a mirror for a resource that was never media.
+ */
+
+export const SNIFF_BYTES = 376; // two TS packets
+const TS_PACKET = 188;
+const TS_SYNC = 0x47;
+const BMFF_BOXES = new Set(['ftyp', 'styp', 'sidx', 'moof', 'mdat', 'moov', 'emsg', 'prft', 'free', 'skip', 'uuid']);
+const NON_MEDIA_TYPE_RE = /^(text\/html|application\/xhtml\+xml|application\/json)/i;
+const HTML_RE = /^\s*<(!doctype|html|head|body|\?xml)/i;
+
+// 'ts' | 'fmp4' | null (format we don't check)
+export function segmentFormat(url, contentType = '') {
+    let pathname = '';
+    try {
+        pathname = new URL(url).pathname.toLowerCase();
+    } catch { }
+    const type = String(contentType).toLowerCase();
+    if (pathname.endsWith('.ts') || type.includes('video/mp2t')) return 'ts';
+    if (/\.(m4s|mp4|cmfv|cmfa|m4v)$/.test(pathname) || /(video|audio)\/mp4|video\/iso\.segment/.test(type)) return 'fmp4';
+    return null;
+}
+
+function isBmffHeader(head) {
+    if (head.length < 8) return false;
+    const size = head.readUInt32BE(0);
+    const type = head.toString('latin1', 4, 8);
+    return (size === 1 || size >= 8) && BMFF_BOXES.has(type);
+}
+
+/**
+ * First bytes of a segment -> null when it looks fine, else the reason ('content_type', 'html',
+ * 'empty', 'ts_sync', 'fmp4_box')
+ */
+export function validateSegmentHead(head, { url, contentType }) {
+    if (NON_MEDIA_TYPE_RE.test(contentType || '')) return 'content_type';
+    if (!head.length) return 'empty';
+    if (HTML_RE.test(head.toString('latin1', 0, Math.min(head.length, 64)))) return 'html';
+
+    const format = segmentFormat(url, contentType);
+    if (format === 'ts') {
+        if (head[0] !== TS_SYNC || (head.length > TS_PACKET && head[TS_PACKET] !== TS_SYNC)) return 'ts_sync';
+    } else if (format === 'fmp4') {
+        if (!isBmffHeader(head)) return 'fmp4_box';
+    }
+    return null;
+}
+
+// Received byte count against the Content-Length header -> null or 'length'
+export function validateSegmentLength(received, contentLength) {
+    const expected = Number(contentLength);
+    if (!contentLength || !Number.isFinite(expected)) return null;
+    return received === expected ? null : 'length';
+}
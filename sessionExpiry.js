@@ -0,0 +1,80 @@
+/**
+ * Session expiry detection
+ *
+ * Works out when a prepared session really stops working, from:
+ * - cookie expiry times (Expires / Max-Age, as resolved by tough-cookie)
+ * - signed stream URL query params: expires=, exp=, Expires= (CloudFront), hdnts=exp=... (Akamai), ...
+ * - JWTs in the stream URL (query values or path segments) with an `exp` claim
+ *
+ * Timestamps outside a plausible window are ignored so ids that merely look numeric don't shrink the TTL.
+ */
+
+import { URL } from 'url';
+
+const EXPIRY_PARAMS = new Set(['expires', 'exp', 'expiry', 'expire', 'e', 'validto', 'valid_to', 'deadline']);
+const MAX_FUTURE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Epoch seconds or milliseconds -> ms, or null when it doesn't look like a timestamp near now
+function toTimestampMs(value, now) {
+    if (!/^\d{10}(\d{3})?$/.test(value)) return null;
+    const ms = value.length === 13 ? Number(value) : Number(value) * 1000;
+    if (ms < now - 24 * 60 * 60 * 1000 || ms > now + MAX_FUTURE_MS) return null;
+    return ms;
+}
+
+// `exp` claim (ms) of a JWT-looking string, or null
+function jwtExpiry(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3 || !parts[0].startsWith('eyJ')) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+// Earliest expiry (ms) encoded in a stream URL, or null
+export function streamUrlExpiry(streamUrl, now = Date.now()) {
+    let url;
+    try {
+        url = new URL(streamUrl);
+    } catch {
+        return null;
+    }
+
+    const found = [];
+    for (const [key, value] of url.searchParams) {
+        const name = key.toLowerCase();
+        if (EXPIRY_PARAMS.has(name)) found.push(toTimestampMs(value, now));
+        // Akamai token auth: hdnts=st=...~exp=1700000000~acl=...~hmac=...
+        if (name === 'hdnts' || name === '__token__') {
+            const exp = value.match(/(?:^|~)exp=(\d+)/)?.[1];
+            if (exp) found.push(toTimestampMs(exp, now));
+        }
+        found.push(jwtExpiry(value));
+    }
+    for (const segment of url.pathname.split('/')) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch {
+            continue; // malformed escape (a literal % in a CDN token): can't hold a JWT
+        }
+        found.push(jwtExpiry(decoded));
+    }
+
+    const valid = found.filter((ms) => ms !== null);
+    return valid.length ? Math.min(...valid) : null;
+}
+
+/**
+ * Earliest real expiry (ms) of a session, or null when nothing in it expires
+ * - cookieExpiryTimes: ms per cookie (Infinity for session cookies)
+ */
+export function earliestExpiry(streamUrl, cookieExpiryTimes = [], now = Date.now()) {
+    const candidates = cookieExpiryTimes.filter((ms) => Number.isFinite(ms));
+    const urlExpiry = streamUrlExpiry(streamUrl, now);
+    if (urlExpiry !== null) candidates.push(urlExpiry);
+    return candidates.length ? Math.min(...candidates) : null;
+}
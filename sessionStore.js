@@ -0,0 +1,251 @@
+/**
+ * Session store adapters (prepared event metadata)
+ *
+ * Every adapter exposes the same async interface:
+ * - get(key) -> value | null
+ * - set(key, value, ttlSec)
+ * - delete(key)
+ * - size() -> number of live entries
+ * - entries() -> [{ key, value, ttlMs, pinned }]
+ * - pin(key) / unpin(key) / pinnedKeys(): a pinned key is never evicted to make room (it still expires
+ *   with its TTL); the pin belongs to the key, so it also covers entries stored after pinning
+ *
+ * Adapters (SESSION_STORE env):
+ * - memory (default): in-process LRUCache, lost on restart
+ * - file: the same LRU, snapshotted to SESSION_STORE_FILE and reloaded on boot (expired entries dropped)
+ * - redis: any Redis-protocol server at REDIS_URL, shared by every instance
+ *
+ * All of them honour per-entry TTLs and the `max` bound (pinned entries don't count towards it).
+ * When full, memory/file evict the least recently used entry, redis the one closest to expiry
+ * (with a uniform TTL: the oldest).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LRUCache } from 'lru-cache';
+import { createRedisClient } from './redisClient.js';
+
+/* ================== MEMORY ================== */
+
+function createMemoryStore({ max, ttlSec }) {
+    const cache = new LRUCache({
+        max,
+        ttl: ttlSec * 1000, // TTL in milliseconds
+        updateAgeOnGet: false, // Don't reset TTL on access
+        updateAgeOnHas: false // Don't reset TTL on has check
+    });
+    const pins = new Set();
+    const pinned = new Map(); // pinned key -> { value, expiresAt }, kept outside the LRU so it can't be evicted
+
+    function livePinned(key) {
+        const entry = pinned.get(key);
+        if (entry && entry.expiresAt <= Date.now()) pinned.delete(key);
+        return pinned.get(key) || null;
+    }
+
+    function pinnedEntries() {
+        return [...pinned.keys()].map(livePinned).filter(Boolean);
+    }
+
+    return {
+        type: 'memory',
+        async get(key) {
+            if (pins.has(key)) return livePinned(key)?.value ?? null;
+            return cache.get(key) ?? null;
+        },
+        async set(key, value, ttl = ttlSec) {
+            if (pins.has(key)) pinned.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+            else cache.set(key, value, { ttl: ttl * 1000 });
+        },
+        async delete(key) {
+            cache.delete(key);
+            pinned.delete(key);
+        },
+        async size() {
+            return cache.size + pinnedEntries().length;
+        },
+        async entries() {
+            const now = Date.now();
+            return [
+                ...[...pinned.keys()]
+                    .filter(livePinned)
+                    .map((key) => ({ key, value: pinned.get(key).value, ttlMs: pinned.get(key).expiresAt - now, pinned: true })),
+                ...[...cache.keys()].map((key) => ({
+                    key,
+                    value: cache.peek(key),
+                    ttlMs: Math.round(cache.getRemainingTTL(key)),
+                    pinned: false
+                }))
+            ];
+        },
+        async pin(key) {
+            pins.add(key);
+            if (cache.has(key)) {
+                pinned.set(key, { value: cache.peek(key), expiresAt: Date.now() + cache.getRemainingTTL(key) });
+                cache.delete(key);
+            }
+        },
+        async unpin(key) {
+            pins.delete(key);
+            const entry = livePinned(key);
+            pinned.delete(key);
+            if (entry) cache.set(key, entry.value, { ttl: entry.expiresAt - Date.now() });
+        },
+        async pinnedKeys() {
+            return [...pins];
+        },
+        // plain-data copy of everything, for the file adapter
+        snapshot() {
+            return { entries: cache.dump(), pins: [...pins], pinned: [...pinned] };
+        },
+        restore({ entries = [], pins: savedPins = [], pinned: savedPinned = [] }) {
+            cache.load(entries);
+            for (const key of savedPins) pins.add(key);
+            for (const [key, entry] of savedPinned) if (entry.expiresAt > Date.now()) pinned.set(key, entry);
+            return cache.size + pinned.size;
+        }
+    };
+}
+
+/* ================== FILE ================== */
+
+const FILE_SAVE_DEBOUNCE_MS = 1000;
+
+function createFileStore({ max, ttlSec, filePath }) {
+    const store = createMemoryStore({ max, ttlSec });
+    const file = path.resolve(filePath);
+    let saveTimer = null;
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // older snapshots are a bare LRU dump
+        const count = store.restore(Array.isArray(saved) ? { entries: saved } : saved);
+        console.log(`📂 Session store: loaded ${count} entries from ${file}`);
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Session store load failed:', err.message);
+    }
+
+    // Write a snapshot (tmp file + rename so a crash never leaves half a file)
+    function save() {
+        saveTimer = null;
+        const tmp = `${file}.tmp`;
+        fs.promises
+            .writeFile(tmp, JSON.stringify(store.snapshot()))
+            .then(() => fs.promises.rename(tmp, file))
+            .catch((err) => console.error('Session store save failed:', err.message));
+    }
+
+    function scheduleSave() {
+        if (!saveTimer) saveTimer = setTimeout(save, FILE_SAVE_DEBOUNCE_MS);
+    }
+
+    return {
+        ...store,
+        type: 'file',
+        async set(key, value, ttl) {
+            await store.set(key, value, ttl);
+            scheduleSave();
+        },
+        async delete(key) {
+            await store.delete(key);
+            scheduleSave();
+        },
+        async pin(key) {
+            await store.pin(key);
+            scheduleSave();
+        },
+        async unpin(key) {
+            await store.unpin(key);
+            scheduleSave();
+        }
+    };
+}
+
+/* ================== REDIS ================== */
+
+function createRedisStore({ max, ttlSec, redisUrl, prefix }) {
+    const client = createRedisClient(redisUrl);
+    // sorted set of keys scored by expiry time, for the max bound and listing
+    const indexKey = `${prefix}live:sessions:index`;
+    const pinsKey = `${prefix}live:sessions:pinned`;
+
+    async function prune() {
+        await client.command('ZREMRANGEBYSCORE', indexKey, '-inf', Date.now());
+    }
+
+    return {
+        type: 'redis',
+        async get(key) {
+            const raw = await client.command('GET', prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+        async set(key, value, ttl = ttlSec) {
+            const ttlMs = Math.max(1, Math.round(ttl * 1000));
+            await client.command('SET', prefix + key, JSON.stringify(value), 'PX', ttlMs);
+            await client.command('ZADD', indexKey, Date.now() + ttlMs, key);
+
+            await prune();
+            const count = await client.command('ZCARD', indexKey);
+            if (count > max) {
+                // oldest unpinned entries beyond max
+                const pins = new Set(await client.command('SMEMBERS', pinsKey));
+                const evictable = (await client.command('ZRANGE', indexKey, 0, -1)).filter((k) => !pins.has(k));
+                const victims = evictable.slice(0, Math.max(0, evictable.length - max));
+                if (victims.length) {
+                    await client.command('DEL', ...victims.map((k) => prefix + k));
+                    await client.command('ZREM', indexKey, ...victims);
+                }
+            }
+        },
+        async delete(key) {
+            await client.command('DEL', prefix + key);
+            await client.command('ZREM', indexKey, key);
+        },
+        async size() {
+            await prune();
+            return client.command('ZCARD', indexKey);
+        },
+        async entries() {
+            await prune();
+            const flat = await client.command('ZRANGE', indexKey, 0, -1, 'WITHSCORES');
+            const keys = flat.filter((_, i) => i % 2 === 0);
+            if (!keys.length) return [];
+            const values = await client.command('MGET', ...keys.map((k) => prefix + k));
+            const pins = new Set(await client.command('SMEMBERS', pinsKey));
+            const now = Date.now();
+            return keys
+                .map((key, i) => ({
+                    key,
+                    value: values[i] ? JSON.parse(values[i]) : null,
+                    ttlMs: Number(flat[i * 2 + 1]) - now,
+                    pinned: pins.has(key)
+                }))
+                .filter((e) => e.value !== null);
+        },
+        async pin(key) {
+            await client.command('SADD', pinsKey, key);
+        },
+        async unpin(key) {
+            await client.command('SREM', pinsKey, key);
+        },
+        async pinnedKeys() {
+            return client.command('SMEMBERS', pinsKey);
+        }
+    };
+}
+
+/* ================== FACTORY ================== */
+
+export function createSessionStore({ type = 'memory', max, ttlSec, filePath, redisUrl, prefix = '' }) {
+    switch (type) {
+        case 'memory':
+            return createMemoryStore({ max, ttlSec });
+        case 'file':
+            return createFileStore({ max, ttlSec, filePath });
+        case 'redis':
+            if (!redisUrl) throw new Error('SESSION_STORE=redis requires REDIS_URL');
+            return createRedisStore({ max, ttlSec, redisUrl, prefix });
+        default:
+            throw new Error(`Unknown SESSION_STORE "${type}" (memory | file | redis)`);
+    }
+}
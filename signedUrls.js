@@ -0,0 +1,96 @@
+/**
+ * Signed, expiring tokens
+ *
+ * Playlist rewriters emit /seg?t=<token> instead of raw upstream URLs. A token is
+ * base64url(JSON { u: upstream url, o: its origin, e: event key, x: expiry ms }) + '.' + base64url(HMAC-SHA256),
+ * so /seg only fetches URLs we put into a playlist for that same event, on the origin they were signed for.
+ * Everything /seg needs is in the token: any instance sharing the secret accepts it, restarts included.
+ *
+ * Viewer tokens (player links, VIEWER_AUTH=1) have the same shape without `u` and are signed under
+ * their own prefix, so neither kind of token can stand in for the other.
+ *
+ * SEGMENT_SIGNING_SECRET should be set when running several instances; otherwise a random
+ * per-process secret is used and tokens stop validating after a restart.
+ */
+
+import crypto from 'crypto';
+import { URL } from 'url';
+
+const SECRET = process.env.SEGMENT_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+export const SEGMENT_TOKEN_TTL_SEC = process.env.SEGMENT_TOKEN_TTL_SEC ? Number(process.env.SEGMENT_TOKEN_TTL_SEC) : 1800;
+export const VIEWER_TOKEN_TTL_SEC = process.env.VIEWER_TOKEN_TTL_SEC ? Number(process.env.VIEWER_TOKEN_TTL_SEC) : 6 * 3600; // a long match
+const VIEWER_PREFIX = 'viewer:';
+
+if (!process.env.SEGMENT_SIGNING_SECRET) {
+    console.warn('⚠️ SEGMENT_SIGNING_SECRET not set, using a random per-process secret');
+}
+
+function hmac(data) {
+    return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+function sign(claims, prefix = '') {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${hmac(prefix + payload)}`;
+}
+
+// { claims } for a well-signed, unexpired token, else { error }
+function verify(token, prefix = '') {
+    if (!token || typeof token !== 'string') return { error: 'missing_token' };
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return { error: 'bad_token' };
+
+    const expected = Buffer.from(hmac(prefix + payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return { error: 'bad_token' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return { error: 'bad_token' };
+    }
+
+    if (!claims.x || claims.x < Date.now()) return { error: 'expired' };
+    return { claims };
+}
+
+export function signSegmentUrl(url, eventKey, ttlSec = SEGMENT_TOKEN_TTL_SEC) {
+    return sign({ u: url, o: new URL(url).origin, e: eventKey, x: Date.now() + ttlSec * 1000 });
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Verify a token for eventKey
+ * - returns { url } when valid
+ * - returns { error } with 'missing_token' | 'bad_token' | 'expired' | 'wrong_event' | 'off_host'
+ */
+export function verifySegmentToken(token, eventKey) {
+    const { claims, error } = verify(token);
+    if (error) return { error };
+    if (claims.e !== eventKey) return { error: 'wrong_event' };
+    if (!claims.o || originOf(claims.u) !== claims.o) return { error: 'off_host' };
+    return { url: claims.u };
+}
+
+export function signViewerToken(eventKey, ttlSec = VIEWER_TOKEN_TTL_SEC) {
+    return sign({ e: eventKey, x: Date.now() + ttlSec * 1000 }, VIEWER_PREFIX);
+}
+
+// Same results as verifySegmentToken, with { expiresAt } when valid
+export function verifyViewerToken(token, eventKey) {
+    const { claims, error } = verify(token, VIEWER_PREFIX);
+    if (error) return { error };
+    if (claims.e !== eventKey) return { error: 'wrong_event' };
+    return { expiresAt: claims.x };
+}
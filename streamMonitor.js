@@ -0,0 +1,184 @@
+/**
+ * Live-stream health monitor
+ *
+ * - Every actively viewed event (touched by the playlist/segment routes) is polled in the background
+ *   once per target duration via poll(ctx) -> { mediaSequence, targetDuration, ended } or null
+ * - Segment fetches report latency and success through recordSegment()
+ * - State per event:
+ *   ended    #EXT-X-ENDLIST seen
+ *   stalled  media sequence hasn't moved for STALL_WINDOWS target durations
+ *   degraded failing polls, segment error rate or slow segment fetches
+ *   healthy  otherwise (unknown until the first successful poll)
+ * - Events nobody has requested for idleMs are dropped
+ * - Viewers: distinct clients (viewerId) that requested the event within the last VIEWER_WINDOW_MS
+ * - Bitrate: bytes served to viewers (recordBytes) over the last RATE_WINDOW_MS
+ * - onChange(key, ctx, status) is called whenever an event's state changes
+ */
+
+const TICK_MS = 1000;
+const DEFAULT_TARGET_DURATION_SEC = 4;
+const STALL_WINDOWS = 3;
+const SAMPLE_WINDOW_MS = 60 * 1000;
+const DEGRADED_ERROR_RATE = 0.2;
+const DEGRADED_LATENCY_FACTOR = 0.5; // avg segment fetch slower than half a target duration
+const VIEWER_WINDOW_MS = 30 * 1000;
+const RATE_WINDOW_MS = 10 * 1000;
+
+export function createStreamMonitor({ poll, idleMs = 60 * 1000, onChange = null }) {
+    const events = new Map(); // key -> monitor entry
+    let timer = null;
+
+    function ensureTimer() {
+        if (timer) return;
+        timer = setInterval(tick, TICK_MS);
+        timer.unref();
+    }
+
+    // Mark an event as being watched by viewerId (starts monitoring it)
+    function touch(key, ctx, viewerId) {
+        let entry = events.get(key);
+        if (!entry) {
+            entry = {
+                ctx,
+                mediaSequence: null,
+                targetDuration: null,
+                ended: false,
+                lastProgressAt: null,
+                lastPollAt: 0,
+                pollErrors: 0,
+                lastError: null,
+                samples: [], // { at, latencyMs, ok }
+                viewers: new Map(), // viewerId -> lastSeenAt
+                traffic: [], // { at, bytes }
+                lastState: null,
+                polling: false
+            };
+            events.set(key, entry);
+            ensureTimer();
+        }
+        entry.lastViewedAt = Date.now();
+        if (viewerId) entry.viewers.set(viewerId, entry.lastViewedAt);
+    }
+
+    function viewerCount(entry, now = Date.now()) {
+        let count = 0;
+        for (const seenAt of entry.viewers.values()) if (now - seenAt < VIEWER_WINDOW_MS) count++;
+        return count;
+    }
+
+    // Segment fetch outcome (upstream fetches only, cache hits aren't samples)
+    function recordSegment(key, { latencyMs, ok }) {
+        const entry = events.get(key);
+        if (!entry) return;
+        entry.samples.push({ at: Date.now(), latencyMs, ok });
+    }
+
+    // Bytes sent to a viewer of the event (one response)
+    function recordBytes(key, bytes) {
+        const entry = events.get(key);
+        if (!entry) return;
+        entry.traffic.push({ at: Date.now(), bytes });
+    }
+
+    async function pollEntry(entry) {
+        entry.polling = true;
+        entry.lastPollAt = Date.now();
+        try {
+            const info = await poll(entry.ctx);
+            if (!info) return;
+            const now = Date.now();
+            if (entry.mediaSequence === null || info.mediaSequence !== entry.mediaSequence) {
+                entry.lastProgressAt = now;
+            }
+            entry.mediaSequence = info.mediaSequence;
+            entry.targetDuration = info.targetDuration || entry.targetDuration;
+            entry.ended = Boolean(info.ended);
+            entry.pollErrors = 0;
+            entry.lastError = null;
+        } catch (err) {
+            entry.pollErrors++;
+            entry.lastError = err.message;
+        } finally {
+            entry.polling = false;
+        }
+    }
+
+    function tick() {
+        const now = Date.now();
+        for (const [key, entry] of events) {
+            if (now - entry.lastViewedAt > idleMs) {
+                events.delete(key);
+                continue;
+            }
+            entry.samples = entry.samples.filter((s) => now - s.at < SAMPLE_WINDOW_MS);
+            for (const [viewerId, seenAt] of entry.viewers) {
+                if (now - seenAt >= VIEWER_WINDOW_MS) entry.viewers.delete(viewerId);
+            }
+            entry.traffic = entry.traffic.filter((t) => now - t.at < RATE_WINDOW_MS);
+
+            if (onChange) {
+                const status = evaluate(entry);
+                if (status.state !== entry.lastState) {
+                    entry.lastState = status.state;
+                    onChange(key, entry.ctx, status);
+                }
+            }
+
+            const windowMs = (entry.targetDuration || DEFAULT_TARGET_DURATION_SEC) * 1000;
+            if (!entry.polling && !entry.ended && now - entry.lastPollAt >= windowMs) {
+                pollEntry(entry);
+            }
+        }
+        if (!events.size) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    function evaluate(entry) {
+        const now = Date.now();
+        const windowMs = (entry.targetDuration || DEFAULT_TARGET_DURATION_SEC) * 1000;
+        const samples = entry.samples.filter((s) => now - s.at < SAMPLE_WINDOW_MS);
+        const failed = samples.filter((s) => !s.ok).length;
+        const errorRate = samples.length ? failed / samples.length : 0;
+        const avgLatencyMs = samples.length
+            ? Math.round(samples.reduce((sum, s) => sum + s.latencyMs, 0) / samples.length)
+            : null;
+
+        let state;
+        if (entry.ended) state = 'ended';
+        else if (entry.lastProgressAt && now - entry.lastProgressAt > STALL_WINDOWS * windowMs) state = 'stalled';
+        else if (
+            entry.pollErrors >= 2 ||
+            errorRate > DEGRADED_ERROR_RATE ||
+            (avgLatencyMs !== null && avgLatencyMs > windowMs * DEGRADED_LATENCY_FACTOR)
+        ) state = 'degraded';
+        else if (entry.lastProgressAt) state = 'healthy';
+        else state = 'unknown';
+
+        return {
+            state,
+            mediaSequence: entry.mediaSequence,
+            targetDuration: entry.targetDuration,
+            lastProgressAt: entry.lastProgressAt,
+            lastPollAt: entry.lastPollAt || null,
+            lastViewedAt: entry.lastViewedAt,
+            lastError: entry.lastError,
+            viewers: viewerCount(entry, now),
+            bitrateBps: Math.round((entry.traffic.filter((t) => now - t.at < RATE_WINDOW_MS).reduce((sum, t) => sum + t.bytes, 0) * 8 * 1000) / RATE_WINDOW_MS),
+            segments: { samples: samples.length, errorRate: Number(errorRate.toFixed(3)), avgLatencyMs }
+        };
+    }
+
+    // Health of one event, or null when it isn't being watched
+    function status(key) {
+        const entry = events.get(key);
+        return entry ? evaluate(entry) : null;
+    }
+
+    function list() {
+        return [...events].map(([key, entry]) => ({ key, ...entry.ctx, ...evaluate(entry) }));
+    }
+
+    return { touch, recordSegment, recordBytes, status, list };
+}
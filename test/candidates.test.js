@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankCandidates, normalizeCandidates, createVariantRegistry } from '../candidates.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Live media playlist at media sequence `sequence`; the fractional target duration keeps the advance probe short
+const live = (sequence) => `#EXTM3U\n#EXT-X-TARGETDURATION:0.05\n#EXT-X-MEDIA-SEQUENCE:${sequence}\n#EXTINF:2,\nseg${sequence}.ts\n`;
+const VOD = '#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXTINF:2,\nseg0.ts\n#EXT-X-ENDLIST\n';
+
+// fetchText over a url -> (call number) => body map; a function body that throws is an upstream failure
+function upstream(routes) {
+    const calls = {};
+    const fetchText = async (url) => {
+        calls[url] = (calls[url] || 0) + 1;
+        const route = routes[url];
+        if (!route) throw new Error(`unexpected fetch ${url}`);
+        return route(calls[url]);
+    };
+    return { fetchText, calls };
+}
+
+test('advancing candidates rank before stalled ones, failed ones last', async () => {
+    const { fetchText } = upstream({
+        'http://a/failed.m3u8': () => {
+            throw new Error('status 403');
+        },
+        'http://a/stalled.m3u8': () => live(10),
+        'http://a/advancing.m3u8': (n) => live(10 + n)
+    });
+    const ranked = await rankCandidates(
+        ['failed', 'stalled', 'advancing'].map((name) => ({ url: `http://a/${name}.m3u8`, via: name })),
+        fetchText
+    );
+
+    assert.deepEqual(ranked.map((c) => c.via), ['advancing', 'stalled', 'failed']);
+    assert.deepEqual(ranked.map((c) => [c.ok, c.advancing]), [[true, true], [true, false], [false, undefined]]);
+    assert.equal(ranked[2].error, 'status 403');
+});
+
+test('equally good candidates are ordered by latency', async () => {
+    const { fetchText } = upstream({
+        'http://a/slow.m3u8': async () => {
+            await sleep(50);
+            return VOD;
+        },
+        'http://a/fast.m3u8': () => VOD
+    });
+    const ranked = await rankCandidates([{ url: 'http://a/slow.m3u8', via: 'slow' }, { url: 'http://a/fast.m3u8', via: 'fast' }], fetchText);
+    assert.deepEqual(ranked.map((c) => c.via), ['fast', 'slow']);
+});
+
+test('a master playlist is probed through its first variant', async () => {
+    const { fetchText, calls } = upstream({
+        'http://a/master.m3u8': () => '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow/index.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=2000000\nhigh/index.m3u8\n',
+        'http://a/low/index.m3u8': (n) => live(n),
+        'http://b/index.m3u8': () => '<html>blocked</html>'
+    });
+    const ranked = await rankCandidates([{ url: 'http://b/index.m3u8', via: 'b' }, { url: 'http://a/master.m3u8', via: 'a' }], fetchText);
+
+    assert.equal(ranked[0].via, 'a');
+    assert.equal(ranked[0].advancing, true);
+    assert.equal(calls['http://a/master.m3u8'], 1);
+    assert.equal(calls['http://a/low/index.m3u8'], 2); // before and after one target duration
+    assert.equal(calls['http://a/high/index.m3u8'], undefined);
+    assert.equal(ranked[1].error, 'not_a_playlist');
+});
+
+test('a single candidate is returned without probing', async () => {
+    const ranked = await rankCandidates([{ url: 'http://a/only.m3u8', via: 'only' }], () => assert.fail('probed'));
+    assert.deepEqual(ranked, [{ url: 'http://a/only.m3u8', via: 'only', ok: true }]);
+});
+
+test('candidates are resolved against the page and deduplicated', () => {
+    const candidates = normalizeCandidates(['/live/a.m3u8', { url: 'https://cdn.example.com/live/a.m3u8', via: 'iframe' }, { url: 'https://cdn.example.com/b.m3u8', via: 'regex' }, null], 'https://cdn.example.com/event/1');
+    assert.deepEqual(candidates, [
+        { url: 'https://cdn.example.com/live/a.m3u8', via: 'unknown' },
+        { url: 'https://cdn.example.com/b.m3u8', via: 'regex' }
+    ]);
+});
+
+test('a variant maps to the closest-bandwidth variant of another master', () => {
+    const variants = createVariantRegistry();
+    variants.record('http://a/master.m3u8', [{ url: 'http://a/low.m3u8', bandwidth: 800000 }, { url: 'http://a/high.m3u8', bandwidth: 3000000 }]);
+    variants.record('http://b/master.m3u8', [{ url: 'http://b/360.m3u8', bandwidth: 600000 }, { url: 'http://b/720.m3u8', bandwidth: 2500000 }]);
+
+    assert.equal(variants.equivalent('http://a/high.m3u8', 'http://b/master.m3u8'), 'http://b/720.m3u8');
+    assert.equal(variants.equivalent('http://a/low.m3u8', 'http://b/master.m3u8'), 'http://b/360.m3u8');
+    assert.equal(variants.equivalent('http://c/unknown.m3u8', 'http://b/master.m3u8'), null);
+});
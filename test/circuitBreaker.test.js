@@ -0,0 +1,70 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker } from '../circuitBreaker.js';
+
+afterEach(() => mock.timers.reset());
+
+const HOST = 'cdn.example.com';
+
+test('failures in a row open the circuit, which then fails fast', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    const breaker = createCircuitBreaker({ failureThreshold: 3, openMs: 30000 });
+    breaker.failure(HOST, 'ETIMEDOUT');
+    breaker.failure(HOST, 'ETIMEDOUT');
+    breaker.success(HOST); // a success resets the streak
+    breaker.failure(HOST, 'ETIMEDOUT');
+    breaker.failure(HOST, 'ETIMEDOUT');
+    breaker.check(HOST);
+    breaker.failure(HOST, 'status 503');
+
+    mock.timers.tick(10000);
+    assert.throws(() => breaker.check(HOST), { code: 'ECIRCUITOPEN', retryAfterMs: 20000, message: /status 503/ });
+    breaker.check('other.example.com');
+    assert.deepEqual(breaker.status().map((c) => [c.key, c.state, c.failures, c.openUntil]), [[HOST, 'open', 3, 1700000030000]]);
+});
+
+test('a half-open circuit lets one trial through; its success closes the circuit', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    const changes = [];
+    const breaker = createCircuitBreaker({ failureThreshold: 1, openMs: 30000, onChange: (key, state, previous) => changes.push(`${previous}->${state}`) });
+    breaker.failure(HOST, 'ECONNRESET');
+
+    mock.timers.tick(30000);
+    breaker.check(HOST); // the trial
+    assert.throws(() => breaker.check(HOST), { code: 'ECIRCUITOPEN', retryAfterMs: 30000 });
+    breaker.success(HOST);
+    breaker.check(HOST);
+    breaker.check(HOST);
+    assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed']);
+    assert.deepEqual(breaker.status(), []);
+});
+
+test('a failed trial opens the circuit for twice as long, up to maxOpenMs', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    const breaker = createCircuitBreaker({ failureThreshold: 1, openMs: 30000, maxOpenMs: 50000 });
+    breaker.failure(HOST, 'ECONNRESET');
+
+    const retryTrial = () => {
+        mock.timers.tick(breaker.status()[0].openUntil - Date.now());
+        breaker.check(HOST);
+        breaker.failure(HOST, 'ECONNRESET');
+        return breaker.status()[0].openUntil - Date.now();
+    };
+    assert.equal(retryTrial(), 50000); // 60000, capped
+    assert.equal(retryTrial(), 50000);
+    assert.equal(breaker.status()[0].opened, 3);
+});
+
+test('a trial that never reports back is replaced after openMs', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    const breaker = createCircuitBreaker({ failureThreshold: 1, openMs: 30000 });
+    breaker.failure(HOST, 'ECONNRESET');
+    mock.timers.tick(30000);
+    breaker.check(HOST);
+
+    mock.timers.tick(29999);
+    assert.throws(() => breaker.check(HOST), { code: 'ECIRCUITOPEN', retryAfterMs: 1 });
+    mock.timers.tick(1);
+    breaker.check(HOST);
+    assert.equal(breaker.status()[0].state, 'half-open');
+});
@@ -0,0 +1,132 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createDvr } from '../dvr.js';
+
+let dir;
+
+// the recorder logs every recording it starts and finishes
+for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dvr-test-'));
+    // fake the recorder's tick and clock; setTimeout stays real for the waits below
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Upstream media playlist: `count` 4s segments from media sequence `seq`
+function live(seq, count = 3, ended = false) {
+    const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:4', `#EXT-X-MEDIA-SEQUENCE:${seq}`];
+    for (let n = seq; n < seq + count; n++) lines.push('#EXTINF:4.000,', `https://cdn.example.com/seg${n}.ts`);
+    if (ended) lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+}
+
+function dvr(upstream, options = {}) {
+    return createDvr({
+        dir,
+        windowSec: 10,
+        retentionSec: 60,
+        maxBytes: 1024 * 1024,
+        poll: async (ctx) => upstream[ctx.eventId],
+        fetchSegment: async () => Buffer.alloc(1000),
+        ...options
+    });
+}
+
+// Advance the recorder's clock by `seconds`, one tick at a time
+function elapse(seconds) {
+    for (let i = 0; i < seconds; i++) mock.timers.tick(1000);
+}
+
+// Wait (real time) for the recorder's async work: downloads and file writes
+async function until(condition) {
+    for (let i = 0; i < 400 && !condition(); i++) await sleep(5);
+    assert.ok(condition(), 'condition not reached');
+}
+
+const files = (key) => fs.readdirSync(path.join(dir, encodeURIComponent(key))).filter((f) => f.endsWith('.ts')).sort();
+
+test('a recording keeps a sliding window and deletes older segments', async () => {
+    const upstream = { 1: live(0) };
+    const recorder = dvr(upstream);
+    recorder.touch('a/1', { eventId: '1' });
+    elapse(1);
+    await until(() => recorder.status('a/1').segments === 3);
+
+    upstream[1] = live(2);
+    elapse(4);
+    // 5 segments (20s) recorded, the oldest dropped while the rest still covers windowSec
+    await until(() => recorder.playlist('a/1', (file) => file).includes('#EXT-X-MEDIA-SEQUENCE:2\n'));
+    assert.equal(recorder.stats().bytes, 3000);
+    await until(() => files('a/1').length === 3);
+    assert.deepEqual(files('a/1'), ['2.ts', '3.ts', '4.ts']);
+
+    const text = recorder.playlist('a/1', (file) => `/dvr/${file}`);
+    assert.match(text, /#EXT-X-MEDIA-SEQUENCE:2\n/);
+    assert.equal((text.match(/#EXT-X-PROGRAM-DATE-TIME:/g) || []).length, 3);
+    assert.doesNotMatch(text, /#EXT-X-ENDLIST/);
+    assert.equal(recorder.file('a/1', '0.ts'), null);
+});
+
+test('an ended event becomes a VOD recording and is removed after its retention', async () => {
+    const recorder = dvr({ 1: live(0, 2, true) });
+    recorder.touch('a/1', { eventId: '1' });
+    elapse(1);
+    await until(() => recorder.status('a/1')?.state === 'finished');
+
+    const text = recorder.playlist('a/1', (file) => file);
+    assert.match(text, /#EXT-X-PLAYLIST-TYPE:VOD/);
+    assert.match(text, /#EXT-X-ENDLIST\n$/);
+    recorder.touch('a/1', { eventId: '1' }); // the event is over: nothing to resume
+    assert.equal(recorder.status('a/1').state, 'finished');
+
+    elapse(61);
+    assert.equal(recorder.status('a/1'), null);
+    assert.equal(recorder.playlist('a/1', (file) => file), null);
+    await until(() => !fs.existsSync(path.join(dir, encodeURIComponent('a/1'))));
+});
+
+test('over maxBytes, finished recordings lose their oldest segments before live ones', async () => {
+    const upstream = { 1: live(0, 2, true), 2: live(0, 2) };
+    const recorder = dvr(upstream, { maxBytes: 3000 });
+    recorder.touch('a/1', { eventId: '1' });
+    elapse(1);
+    await until(() => recorder.status('a/1')?.state === 'finished');
+
+    recorder.touch('a/2', { eventId: '2' });
+    elapse(1);
+    await until(() => recorder.status('a/2').segments === 2);
+    assert.equal(recorder.status('a/1').segments, 1);
+    assert.deepEqual(recorder.stats(), { recordings: 2, recording: 1, bytes: 3000, maxBytes: 3000 });
+
+    // the finished recording's last segment goes next, and with it the recording
+    upstream[2] = live(1, 2);
+    elapse(4);
+    await until(() => recorder.status('a/2').segments === 3);
+    assert.equal(recorder.status('a/1'), null);
+});
+
+test('an idle recording finishes and resumes after a discontinuity when watched again', async () => {
+    const upstream = { 1: live(0, 1) };
+    const recorder = dvr(upstream, { idleMs: 3000, windowSec: 60 });
+    recorder.touch('a/1', { eventId: '1' });
+    elapse(1);
+    await until(() => recorder.status('a/1').segments === 1);
+    elapse(3); // before the next poll is due
+    assert.equal(recorder.status('a/1').state, 'finished');
+
+    upstream[1] = live(10, 1);
+    recorder.touch('a/1', { eventId: '1' });
+    elapse(1);
+    await until(() => recorder.status('a/1').segments === 2);
+    assert.match(recorder.playlist('a/1', (file) => file), /#EXT-X-DISCONTINUITY\n#EXT-X-PROGRAM-DATE-TIME:[^\n]+\n#EXTINF:4.000,\n1\.ts/);
+});
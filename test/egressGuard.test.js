@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.ALLOW_PRIVATE_UPSTREAMS;
+const { isPrivateAddress, assertPublicUrl, guardedLookup, beforeRedirect } = await import('../egressGuard.js');
+
+test('loopback, RFC 1918, link-local and CGNAT addresses are private', () => {
+    for (const address of ['127.0.0.1', '127.8.9.10', '10.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0']) {
+        assert.ok(isPrivateAddress(address), address);
+    }
+});
+
+test('IPv6 loopback, unique-local, link-local and IPv4-mapped private addresses are private', () => {
+    for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.1.2.3', '::FFFF:192.168.0.1']) {
+        assert.ok(isPrivateAddress(address), address);
+    }
+});
+
+test('public addresses and hostnames are not private', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8', 'cdn.example.com']) {
+        assert.ok(!isPrivateAddress(address), address);
+    }
+});
+
+test('assertPublicUrl refuses private literals, localhost and non-http schemes', () => {
+    for (const url of ['http://127.0.0.1/a.ts', 'http://10.0.0.5:8080/', 'https://[::1]/', 'http://[::ffff:192.168.1.1]/', 'http://localhost/', 'http://api.localhost/']) {
+        assert.throws(() => assertPublicUrl(url), { code: 'EBLOCKEDADDRESS' }, url);
+    }
+    assert.throws(() => assertPublicUrl('file:///etc/passwd'), /Unsupported upstream protocol/);
+    assert.doesNotThrow(() => assertPublicUrl('https://cdn.example.com/hls/index.m3u8'));
+});
+
+test('a redirect to a private address is refused', () => {
+    assert.throws(() => beforeRedirect({ protocol: 'http:', hostname: '169.254.169.254' }), { code: 'EBLOCKEDADDRESS' });
+    assert.doesNotThrow(() => beforeRedirect({ protocol: 'https:', hostname: '8.8.8.8' }));
+});
+
+test('guardedLookup refuses hostnames resolving to private addresses', async () => {
+    const err = await new Promise((resolve) => guardedLookup('localhost', {}, (e) => resolve(e)));
+    assert.equal(err?.code, 'EBLOCKEDADDRESS');
+    const all = await new Promise((resolve) => guardedLookup('localhost', { all: true }, (e) => resolve(e)));
+    assert.equal(all?.code, 'EBLOCKEDADDRESS');
+});
@@ -0,0 +1,86 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createEventFeed } from '../eventFeed.js';
+
+afterEach(() => mock.timers.reset());
+
+// Request/response pair standing in for one SSE client
+function client() {
+    const req = new EventEmitter();
+    const res = {
+        status: null,
+        headers: null,
+        chunks: [],
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        }
+    };
+    return { req, res, text: () => res.chunks.join('') };
+}
+
+test('subscribers get the last event of each type, then every new one', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    const feed = createEventFeed();
+    feed.publish('a/1', 'state', { state: 'preparing' });
+    feed.publish('a/1', 'state', { state: 'live' });
+    feed.publish('a/1', 'score', { text: 'IND 10/0' });
+    feed.publish('a/2', 'state', { state: 'stalled' });
+
+    const c = client();
+    assert.equal(feed.subscribe('a/1', c.req, c.res), true);
+    assert.equal(c.res.status, 200);
+    assert.equal(c.res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(
+        c.text(),
+        'retry: 3000\n\n' +
+            'event: state\ndata: {"state":"live","at":1700000000000}\n\n' +
+            'event: score\ndata: {"text":"IND 10/0","at":1700000000000}\n\n'
+    );
+
+    c.res.chunks.length = 0;
+    feed.publish('a/1', 'score', { text: 'IND 14/0' });
+    feed.publish('a/2', 'score', { text: 'AUS 1/0' });
+    assert.equal(c.text(), 'event: score\ndata: {"text":"IND 14/0","at":1700000000000}\n\n');
+    assert.deepEqual(feed.current('a/1', 'score'), { text: 'IND 14/0' });
+    assert.equal(feed.current('a/1', 'session'), null);
+});
+
+test('an event equal to the last one of its type is not sent again', () => {
+    const feed = createEventFeed();
+    const c = client();
+    feed.subscribe('a/1', c.req, c.res);
+    feed.publish('a/1', 'state', { state: 'live' });
+    feed.publish('a/1', 'state', { state: 'live' });
+    feed.publish('a/1', 'state', { state: 'stalled' });
+    feed.publish('a/1', 'state', { state: 'live' });
+    assert.equal((c.text().match(/^event: state$/gm) || []).length, 3);
+});
+
+test('clients over maxClients are refused and a closed client frees its slot', () => {
+    const feed = createEventFeed({ maxClients: 1 });
+    const first = client();
+    assert.equal(feed.subscribe('a/1', first.req, first.res), true);
+    assert.equal(feed.subscribe('a/1', client().req, client().res), false);
+    assert.deepEqual(feed.keys(), ['a/1']);
+
+    first.req.emit('close');
+    assert.deepEqual(feed.stats(), { clients: 0, events: 0 });
+    feed.publish('a/1', 'state', { state: 'live' });
+    assert.equal(first.text(), 'retry: 3000\n\n');
+    assert.equal(feed.subscribe('a/1', client().req, client().res), true);
+});
+
+test('idle streams get a heartbeat comment', () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const feed = createEventFeed();
+    const c = client();
+    feed.subscribe('a/1', c.req, c.res);
+    mock.timers.tick(15000);
+    assert.equal(c.text(), 'retry: 3000\n\n: ping\n\n');
+    c.req.emit('close');
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const origin = `http://127.0.0.1:${PORT}`;
+const VOD = '#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXTINF:2,\nseg0.ts\n#EXT-X-ENDLIST\n';
+const hits = {};
+let sessions = 0; // event 2 sessions handed out by its page
+let upstream;
+let server;
+
+// a "mirrors" provider whose event pages list mirrors of the local upstream
+const APP = `
+const { registerProvider } = await import(${JSON.stringify(new URL('../providers.js', import.meta.url).href)});
+registerProvider({
+    key: 'mirrors',
+    eventUrl: (eventId) => process.env.TEST_UPSTREAM + '/event/' + eventId,
+    extract: ({ $ }) => $('input.mirror').map((i, el) => $(el).attr('value')).get()
+});
+await import(${JSON.stringify(new URL('../app.js', import.meta.url).href)});
+`;
+
+before(async () => {
+    // event 1: mirror a answers first (it ranks first), then fails; mirror b keeps working
+    // event 2: one mirror that wants the latest session cookie, and answers 403 once to a young session
+    upstream = createServer(async (req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        if (req.url === '/event/2') {
+            res.setHeader('Set-Cookie', `session=${++sessions}; Path=/`);
+            return res.end('<input class="mirror" value="/s/index.m3u8">');
+        }
+        if (req.url === '/s/index.m3u8') {
+            res.statusCode = hits[req.url] !== 1 && req.headers.cookie === `session=${sessions}` ? 200 : 403;
+            return res.end(res.statusCode === 200 ? VOD : '');
+        }
+        if (req.url === '/event/1') {
+            return res.end('<input class="mirror" value="/a/index.m3u8"><input class="mirror" value="/b/index.m3u8">');
+        }
+        if (req.url === '/a/index.m3u8' && hits[req.url] === 1) return res.end(VOD);
+        if (req.url === '/b/index.m3u8') {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            return res.end(VOD);
+        }
+        res.statusCode = 500;
+        res.end();
+    }).listen(0, '127.0.0.1');
+    await once(upstream, 'listening');
+
+    server = spawn(process.execPath, ['--input-type=module', '-e', APP], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            TEST_UPSTREAM: `http://127.0.0.1:${upstream.address().port}`,
+            ALLOW_PRIVATE_UPSTREAMS: '1',
+            SESSION_STORE: 'memory',
+            PREWARM_EVENTS: '',
+            SELF_URL: ''
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('app.js did not start')), 15000);
+        server.stdout.on('data', (chunk) => {
+            if (String(chunk).includes('HLS proxy running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.on('exit', (code) => reject(new Error(`app.js exited with ${code}`)));
+    });
+});
+
+after(() => {
+    server?.kill();
+    upstream?.close();
+});
+
+// upstream URL a rewritten playlist line points at
+const signedUrl = (line) => JSON.parse(Buffer.from(new URL(line, origin).searchParams.get('t').split('.')[0], 'base64url')).u;
+
+test('a failing mirror is swapped for the next ranked one', async () => {
+    const res = await fetch(`${origin}/live/mirrors/1/playlist.m3u8`);
+    assert.equal(res.status, 200);
+    const segment = (await res.text()).split('\n').find((line) => line.includes('/seg?t='));
+    assert.match(signedUrl(segment), /\/b\/seg0\.ts$/);
+    assert.equal(hits['/a/index.m3u8'], 2); // probe, then the failed playlist fetch
+
+    // the event stays on mirror b
+    await fetch(`${origin}/live/mirrors/1/playlist.m3u8`);
+    assert.equal(hits['/a/index.m3u8'], 2);
+});
+
+test('an upstream 403 retries a young session as it is', async () => {
+    const res = await fetch(`${origin}/live/mirrors/2/playlist.m3u8`);
+    assert.equal(res.status, 200);
+    assert.equal(hits['/s/index.m3u8'], 2);
+    assert.equal(hits['/event/2'], 1);
+});
+
+test('an upstream 403 re-prepares an older session and retries with its cookies', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 5100)); // SESSION_MIN_AGE_MS, also past the poll window
+    sessions++; // the upstream no longer accepts the cached session
+    const res = await fetch(`${origin}/live/mirrors/2/playlist.m3u8`);
+    assert.equal(res.status, 200);
+    assert.equal(hits['/event/2'], 2);
+    assert.equal(hits['/s/index.m3u8'], 4);
+});
@@ -0,0 +1,56 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as flush } from 'node:timers/promises';
+import { createHostLimiter } from '../hostLimiter.js';
+
+afterEach(() => mock.timers.reset());
+
+// Settled state of a promise without waiting for it: 'pending', 'resolved' or 'rejected'
+async function state(promise) {
+    let result = 'pending';
+    promise.then(() => (result = 'resolved'), () => (result = 'rejected'));
+    await flush();
+    return result;
+}
+
+test('requests over the per-host cap wait for a slot, other hosts go ahead', async () => {
+    const limiter = createHostLimiter({ perHost: 2, total: 10 });
+    const first = await limiter.acquire('a.example.com');
+    await limiter.acquire('a.example.com');
+    const waiting = limiter.acquire('a.example.com');
+    assert.equal(await state(waiting), 'pending');
+    assert.equal(await state(limiter.acquire('b.example.com')), 'resolved'); // not held up by a's waiter
+
+    first();
+    first(); // releasing twice frees one slot
+    assert.equal(await state(waiting), 'resolved');
+    assert.deepEqual(limiter.stats().hosts, { 'a.example.com': { inFlight: 2, queued: 0 }, 'b.example.com': { inFlight: 1, queued: 0 } });
+});
+
+test('the overall cap serves waiters in arrival order', async () => {
+    const limiter = createHostLimiter({ perHost: 5, total: 2 });
+    const release = await limiter.acquire('a.example.com');
+    await limiter.acquire('b.example.com');
+    const order = [];
+    const c = limiter.acquire('c.example.com').then(() => order.push('c'));
+    const d = limiter.acquire('d.example.com').then(() => order.push('d'));
+    assert.equal(limiter.stats().queued, 2);
+
+    release();
+    await c;
+    assert.equal(await state(d), 'pending');
+    assert.deepEqual(order, ['c']);
+});
+
+test('a full queue or a long wait fails with EUPSTREAMBUSY', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const limiter = createHostLimiter({ perHost: 1, maxQueue: 1, queueTimeoutMs: 5000 });
+    await limiter.acquire('a.example.com');
+    const waiting = limiter.acquire('a.example.com');
+    await assert.rejects(limiter.acquire('a.example.com'), { code: 'EUPSTREAMBUSY', message: /1 requests already waiting/ });
+
+    mock.timers.tick(5000);
+    await assert.rejects(waiting, { code: 'EUPSTREAMBUSY', message: /no slot within 5000ms/ });
+    const { queued, rejected, timedOut } = limiter.stats();
+    assert.deepEqual({ queued, rejected, timedOut }, { queued: 0, rejected: 1, timedOut: 1 });
+});
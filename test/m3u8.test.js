@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    parsePlaylist,
+    serializePlaylist,
+    parseAttributes,
+    serializeAttributes,
+    getAttr,
+    setAttr,
+    findTag,
+    isMasterPlaylist,
+    mediaSequence,
+    targetDuration,
+    rewriteUris
+} from '../m3u8.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const FIXTURES = ['master.m3u8', 'media.m3u8', 'llhls.m3u8', 'aes.m3u8'];
+
+// Every item re-serialized from its parsed form instead of its raw line
+function reserialize(text) {
+    const playlist = parsePlaylist(text);
+    for (const item of playlist.items) if (item.kind === 'tag' || item.kind === 'uri') item.dirty = true;
+    return serializePlaylist(playlist);
+}
+
+const tags = (playlist, name) => playlist.items.filter((item) => item.kind === 'tag' && item.name === name);
+const uriLines = (playlist) => playlist.items.filter((item) => item.kind === 'uri').map((item) => item.uri);
+
+/* ================== ROUND TRIP ================== */
+
+for (const name of FIXTURES) {
+    test(`${name}: untouched playlist serializes byte-for-byte`, () => {
+        const text = fixture(name);
+        assert.equal(serializePlaylist(parsePlaylist(text)), text);
+    });
+
+    test(`${name}: re-serialized items parse back to the same playlist`, () => {
+        const text = fixture(name);
+        const again = reserialize(text);
+        const strip = ({ raw, dirty, ...item }) => item;
+        assert.deepEqual(parsePlaylist(again).items.map(strip), parsePlaylist(text).items.map(strip));
+    });
+}
+
+test('CRLF line endings are normalized to LF', () => {
+    const text = fixture('crlf.m3u8');
+    assert.equal(serializePlaylist(parsePlaylist(text)), text.replace(/\r\n/g, '\n'));
+});
+
+/* ================== PARSING ================== */
+
+test('master: variants, renditions and session tags', () => {
+    const playlist = parsePlaylist(fixture('master.m3u8'));
+    assert.ok(isMasterPlaylist(playlist));
+    assert.equal(tags(playlist, 'EXT-X-STREAM-INF').length, 2);
+    assert.equal(getAttr(tags(playlist, 'EXT-X-STREAM-INF')[0], 'CODECS'), 'avc1.4d401e,mp4a.40.2');
+    assert.equal(getAttr(tags(playlist, 'EXT-X-STREAM-INF')[0], 'RESOLUTION'), '640x360');
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-MEDIA'), 'URI'), 'audio/en.m3u8');
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-SESSION-DATA'), 'URI'), 'info.json');
+    assert.deepEqual(uriLines(playlist), ['low/index.m3u8', 'https://cdn.example.com/hls/mid/index.m3u8?token=abc&exp=1700000000']);
+});
+
+test('media: sequence, target duration, comments and EXTINF values', () => {
+    const playlist = parsePlaylist(fixture('media.m3u8'));
+    assert.ok(!isMasterPlaylist(playlist));
+    assert.equal(mediaSequence(playlist), 1042);
+    assert.equal(targetDuration(playlist), 6);
+    assert.equal(playlist.items.filter((item) => item.kind === 'comment').length, 1);
+    assert.deepEqual(tags(playlist, 'EXTINF').map((t) => t.value), ['6.000,', '6.000,', '5.960,title']);
+    assert.equal(findTag(playlist, 'EXT-X-DISCONTINUITY').value, null);
+});
+
+test('LL-HLS: parts, preload hint, rendition report and skip carry attributes', () => {
+    const playlist = parsePlaylist(fixture('llhls.m3u8'));
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-SERVER-CONTROL'), 'CAN-BLOCK-RELOAD'), 'YES');
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-PART-INF'), 'PART-TARGET'), '1.004');
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-SKIP'), 'SKIPPED-SEGMENTS'), '3');
+    const parts = tags(playlist, 'EXT-X-PART');
+    assert.equal(parts.length, 4);
+    assert.equal(getAttr(parts[2], 'BYTERANGE'), '20000@0');
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-PRELOAD-HINT'), 'URI'), 'filePart271.1.mp4');
+    assert.equal(getAttr(findTag(playlist, 'EXT-X-RENDITION-REPORT'), 'LAST-MSN'), '273');
+});
+
+test('AES: key attributes keep their quoting, METHOD=NONE has no URI', () => {
+    const playlist = parsePlaylist(fixture('aes.m3u8'));
+    const [aes, sample, none] = tags(playlist, 'EXT-X-KEY');
+    assert.deepEqual(aes.attrs, [
+        { key: 'METHOD', value: 'AES-128', quoted: false },
+        { key: 'URI', value: 'https://keys.example.com/k1?id=1', quoted: true },
+        { key: 'IV', value: '0x00000000000000000000000000000001', quoted: false }
+    ]);
+    assert.equal(getAttr(sample, 'KEYFORMAT'), 'com.apple.streamingkeydelivery');
+    assert.equal(getAttr(none, 'URI'), undefined);
+});
+
+test('attribute lists: quoted values may contain commas and equals signs', () => {
+    const attrs = parseAttributes('BANDWIDTH=1,CODECS="a,b",URI="x?a=1&b=2",NAME="A, B"');
+    assert.deepEqual(attrs.map((a) => a.value), ['1', 'a,b', 'x?a=1&b=2', 'A, B']);
+    assert.equal(serializeAttributes(attrs), 'BANDWIDTH=1,CODECS="a,b",URI="x?a=1&b=2",NAME="A, B"');
+});
+
+test('setAttr: new attributes are quoted per RFC 8216, existing ones keep their quoting', () => {
+    const [item] = parsePlaylist('#EXT-X-STREAM-INF:BANDWIDTH=800000').items;
+    setAttr(item, 'SUBTITLES', 'score');
+    setAttr(item, 'BANDWIDTH', '900000');
+    assert.equal(serializePlaylist({ items: [item] }), '#EXT-X-STREAM-INF:BANDWIDTH=900000,SUBTITLES="score"');
+});
+
+/* ================== URI REWRITING ================== */
+
+const proxied = (uri) => `/seg?u=${encodeURIComponent(uri)}`;
+
+test('rewriteUris: URI lines and URI attributes of every tag in a master', () => {
+    const playlist = rewriteUris(parsePlaylist(fixture('master.m3u8')), proxied);
+    const text = serializePlaylist(playlist);
+    for (const uri of ['info.json', 'https://keys.example.com/session.key', 'audio/en.m3u8', 'low/index.m3u8', 'low/iframes.m3u8']) {
+        assert.ok(text.includes(proxied(uri)), `${uri} rewritten`);
+    }
+    assert.ok(text.includes(proxied('https://cdn.example.com/hls/mid/index.m3u8?token=abc&exp=1700000000')));
+    // tags without a URI stay byte-for-byte
+    assert.ok(text.includes('#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"\n'));
+    // the other attributes of a rewritten tag survive
+    const variant = tags(parsePlaylist(text), 'EXT-X-I-FRAME-STREAM-INF')[0];
+    assert.equal(getAttr(variant, 'CODECS'), 'avc1.4d401e');
+});
+
+test('rewriteUris: LL-HLS map, parts, preload hints and rendition reports', () => {
+    const playlist = rewriteUris(parsePlaylist(fixture('llhls.m3u8')), proxied);
+    const seen = [];
+    rewriteUris(playlist, (uri, tag) => {
+        seen.push([tag ? tag.name : 'line', decodeURIComponent(uri.slice('/seg?u='.length))]);
+        return null;
+    });
+    assert.deepEqual(seen, [
+        ['EXT-X-MAP', 'init.mp4'],
+        ['line', 'fileSequence269.mp4'],
+        ['EXT-X-PART', 'filePart270.0.mp4'],
+        ['EXT-X-PART', 'filePart270.1.mp4'],
+        ['EXT-X-PART', 'fileSequence270.mp4'],
+        ['line', 'fileSequence270.mp4'],
+        ['EXT-X-PART', 'filePart271.0.mp4'],
+        ['EXT-X-PRELOAD-HINT', 'filePart271.1.mp4'],
+        ['EXT-X-RENDITION-REPORT', '../1M/waitForMSN.php']
+    ]);
+    assert.equal(getAttr(tags(playlist, 'EXT-X-PART')[2], 'BYTERANGE'), '20000@0');
+});
+
+test('rewriteUris: a null mapping leaves the URI (and its line) untouched', () => {
+    const text = fixture('aes.m3u8');
+    const playlist = rewriteUris(parsePlaylist(text), (uri) => (uri.startsWith('skd://') ? null : proxied(uri)));
+    const out = serializePlaylist(playlist);
+    assert.ok(out.includes('#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://fairplay-key-id",KEYFORMAT="com.apple.streamingkeydelivery",KEYFORMATVERSIONS="1"\n'));
+    assert.ok(out.includes(`#EXT-X-KEY:METHOD=AES-128,URI="${proxied('https://keys.example.com/k1?id=1')}",IV=0x00000000000000000000000000000001\n`));
+    assert.ok(out.includes('#EXT-X-KEY:METHOD=NONE\n'));
+    assert.deepEqual(uriLines(parsePlaylist(out)), ['a0.ts', 'a1.ts', 'a2.ts'].map(proxied));
+    assert.ok(out.endsWith('#EXT-X-ENDLIST\n'));
+});
+
+test('rewriteUris: mapping to the same URI marks nothing dirty', () => {
+    const text = fixture('media.m3u8');
+    const playlist = rewriteUris(parsePlaylist(text), (uri) => uri);
+    assert.ok(playlist.items.every((item) => !item.dirty));
+    assert.equal(serializePlaylist(playlist), text);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlayerOptions, renderPlayerPage } from '../player.js';
+
+// The config object inlined into the page script
+const inlineConfig = (html) => JSON.parse(html.match(/var config = (.*);\n/)[1]);
+
+test('embed options default to a muted autoplaying player with controls', () => {
+    assert.deepEqual(parsePlayerOptions({}), { autoplay: true, muted: true, quality: 'auto', controls: true, stats: false, embed: false });
+    assert.deepEqual(parsePlayerOptions({ autoplay: '0', quality: '720', controls: 'false', stats: '1', embed: 'true' }), {
+        autoplay: false,
+        muted: false, // no autoplay: sound on unless asked otherwise
+        quality: '720',
+        controls: false,
+        stats: true,
+        embed: true
+    });
+});
+
+test('unknown embed option values fall back to the defaults', () => {
+    const options = parsePlayerOptions({ autoplay: 'yes', quality: '<script>', stats: 'maybe' });
+    assert.equal(options.autoplay, true);
+    assert.equal(options.quality, 'auto');
+    assert.equal(options.stats, false);
+    assert.equal(parsePlayerOptions({ quality: 'lowest' }).quality, 'lowest');
+});
+
+test('the player page inlines its config without breaking out of the script block', () => {
+    const query = '?token=</script><script>alert(1)</script>';
+    const html = renderPlayerPage({
+        eventPath: 'livetvapi/123',
+        eventId: '123"><b>',
+        query,
+        options: parsePlayerOptions({}),
+        hlsSrc: '/vendor/hls.min.js?v=1.7.3'
+    });
+    assert.equal((html.match(/<\/script>/g) || []).length, 2); // the hls.js tag and the page script
+    assert.deepEqual(inlineConfig(html), { eventPath: 'livetvapi/123', query, options: parsePlayerOptions({}) });
+    assert.match(html, /<title>Player 123b<\/title>/);
+    assert.match(html, /<script src="\/vendor\/hls.min.js\?v=1.7.3"><\/script>/);
+});
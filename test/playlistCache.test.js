@@ -0,0 +1,149 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createPlaylistCache, pollWindowMs } from '../playlistCache.js';
+
+const LIVE = readFileSync(new URL('./fixtures/media.m3u8', import.meta.url), 'utf8');
+const MASTER = readFileSync(new URL('./fixtures/master.m3u8', import.meta.url), 'utf8');
+const LLHLS = readFileSync(new URL('./fixtures/llhls.m3u8', import.meta.url), 'utf8');
+const identity = (text) => text;
+
+// Date.now() under the test's control
+function clock() {
+    let now = Date.now();
+    mock.method(Date, 'now', () => now);
+    return { advance: (ms) => (now += ms) };
+}
+
+test('a delta update request (_HLS_skip only) is answered from a fresh entry', async () => {
+    const playlists = createPlaylistCache();
+    await playlists.get('a', async () => LIVE, identity);
+    const text = await playlists.getBlocking('a', { skip: 'YES' }, () => assert.fail('went upstream'), identity);
+    assert.equal(text, LIVE);
+    assert.equal(playlists.stats().hits, 1);
+});
+
+test('a delta update request without a cached entry goes upstream', async () => {
+    const playlists = createPlaylistCache();
+    let fetched = 0;
+    await playlists.getBlocking('a', { skip: 'YES' }, async () => {
+        fetched++;
+        return LIVE;
+    }, identity);
+    assert.equal(fetched, 1);
+});
+
+test('a blocking reload up to two segments past the cached position goes upstream', async () => {
+    const playlists = createPlaylistCache();
+    await playlists.get('a', async () => LIVE, identity); // last msn 1044
+    let fetched = 0;
+    await playlists.getBlocking('a', { msn: 1046 }, async () => {
+        fetched++;
+        return LIVE;
+    }, identity);
+    assert.equal(fetched, 1);
+});
+
+test('a blocking reload further ahead is refused without going upstream', async () => {
+    const playlists = createPlaylistCache();
+    await playlists.get('a', async () => LIVE, identity);
+    await assert.rejects(
+        playlists.getBlocking('a', { msn: 1047 }, () => assert.fail('went upstream'), identity),
+        { code: 'EBLOCKINGAHEAD' }
+    );
+});
+
+test('a blocking reload of a cached master playlist is not refused', async () => {
+    const playlists = createPlaylistCache();
+    await playlists.get('a', async () => MASTER, identity);
+    let fetched = 0;
+    await playlists.getBlocking('a', { msn: 1047 }, async () => {
+        fetched++;
+        return MASTER;
+    }, identity);
+    assert.equal(fetched, 1);
+});
+
+/* ================== POLLING ================== */
+
+test('concurrent requests share one upstream poll', async () => {
+    const playlists = createPlaylistCache();
+    let fetched = 0;
+    const fetchText = async () => {
+        fetched++;
+        return LIVE;
+    };
+    const texts = await Promise.all([1, 2, 3].map(() => playlists.get('a', fetchText, identity)));
+    assert.deepEqual(texts, [LIVE, LIVE, LIVE]);
+    assert.equal(fetched, 1);
+    assert.deepEqual([playlists.stats().misses, playlists.stats().coalesced], [1, 2]);
+});
+
+test('a playlist is polled once per target duration and only rewritten when it changes', async (t) => {
+    t.after(() => mock.restoreAll());
+    const time = clock();
+    const playlists = createPlaylistCache();
+    let upstream = LIVE;
+    let rewrites = 0;
+    const rewrite = (text) => {
+        rewrites++;
+        return text;
+    };
+
+    await playlists.get('a', async () => upstream, rewrite);
+    time.advance(5999);
+    await playlists.get('a', () => assert.fail('polled inside the window'), rewrite);
+
+    time.advance(1);
+    await playlists.get('a', async () => upstream, rewrite);
+    assert.equal(rewrites, 1); // same version: the previous rewrite is reused
+
+    time.advance(6000);
+    upstream = LIVE.replace('#EXT-X-MEDIA-SEQUENCE:1042', '#EXT-X-MEDIA-SEQUENCE:1043');
+    await playlists.get('a', async () => upstream, rewrite);
+    assert.equal(rewrites, 2);
+    assert.deepEqual([playlists.stats().hits, playlists.stats().misses], [1, 3]);
+});
+
+test('maxRewriteAgeMs forces a fresh rewrite of an unchanged playlist', async (t) => {
+    t.after(() => mock.restoreAll());
+    const time = clock();
+    const playlists = createPlaylistCache({ maxRewriteAgeMs: 10000 });
+    await playlists.get('a', async () => LIVE, identity);
+    time.advance(6000);
+    await playlists.get('a', async () => LIVE, identity);
+    assert.equal(playlists.stats().rewrites, 1);
+    time.advance(6000);
+    await playlists.get('a', async () => LIVE, identity);
+    assert.equal(playlists.stats().rewrites, 2);
+});
+
+test('a failed poll is not cached', async () => {
+    const playlists = createPlaylistCache();
+    await assert.rejects(playlists.get('a', async () => {
+        throw new Error('status 502');
+    }, identity), /status 502/);
+    assert.equal(await playlists.get('a', async () => LIVE, identity), LIVE);
+});
+
+test('a live playlist that stops moving is stalled after three target durations', async (t) => {
+    t.after(() => mock.restoreAll());
+    const time = clock();
+    const playlists = createPlaylistCache();
+    await playlists.get('a', async () => LIVE, identity);
+    time.advance(18000);
+    await playlists.get('a', async () => LIVE, identity);
+    assert.equal(playlists.isStalled('a'), false);
+    time.advance(1);
+    assert.equal(playlists.isStalled('a'), true);
+
+    await playlists.get('m', async () => MASTER, identity);
+    time.advance(60000);
+    assert.equal(playlists.isStalled('m'), false); // master playlists never stall
+});
+
+test('the poll window follows the part target, the target duration, or a fixed master window', () => {
+    assert.equal(pollWindowMs(LIVE), 6000);
+    assert.equal(pollWindowMs(MASTER), 10000);
+    assert.equal(pollWindowMs(LLHLS), 1004); // PART-TARGET=1.004
+});
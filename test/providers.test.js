@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { registerProvider, getProvider, listProviders, matchM3u8, DEFAULT_PROVIDER } from '../providers.js';
+
+// extract() input for a page; iframes are served from `pages` (url -> html), anything else is a 404
+function page(html, pages = {}) {
+    const fetched = [];
+    return {
+        fetched,
+        input: {
+            html,
+            $: cheerio.load(html),
+            pageUrl: 'https://app.livetvapi.com/event-play-2/123',
+            fetchText: async (url) => {
+                fetched.push(url);
+                return url in pages ? { status: 200, data: pages[url] } : { status: 404, data: '' };
+            }
+        }
+    };
+}
+
+test('routes without a provider use the default one', () => {
+    assert.equal(DEFAULT_PROVIDER, 'livetvapi');
+    assert.equal(getProvider(undefined).key, 'livetvapi');
+    assert.equal(getProvider('nope'), null);
+    assert.ok(listProviders().includes('livetvapi'));
+});
+
+test('a registered provider gets default event id validation and headers', () => {
+    registerProvider({ key: 'other', eventUrl: (id) => `https://other.example.com/${id}`, extract: () => [] });
+    const provider = getProvider('other');
+    assert.equal(provider.validateEventId('123'), true);
+    assert.equal(provider.validateEventId('../123'), false);
+    assert.deepEqual(provider.headers, {});
+    assert.throws(() => registerProvider({ key: 'broken', eventUrl: () => '' }), /extract\(\) is required/);
+});
+
+test('livetvapi collects stream links, iframe mirrors and regex matches in that order', async () => {
+    const { input, fetched } = page(
+        `<input id="stream-link" value="https://a.example.com/live/index.m3u8">
+         <iframe src="/embed/1"></iframe>
+         <iframe src="https://b.example.com/embed"></iframe>
+         <script>var backup = "https://c.example.com/hls/backup.m3u8";</script>`,
+        {
+            'https://app.livetvapi.com/embed/1': '<input id="stream-link" value="https://d.example.com/index.m3u8">',
+            'https://b.example.com/embed': '<script>play("https://e.example.com/x/playlist.m3u8")</script>'
+        }
+    );
+    const found = await getProvider('livetvapi').extract(input);
+    // raw matches: the same link found twice is deduplicated later (normalizeCandidates)
+    assert.deepEqual(found, [
+        { url: 'https://a.example.com/live/index.m3u8', via: 'stream-link' },
+        { url: 'https://d.example.com/index.m3u8', via: 'iframe' },
+        { url: 'https://d.example.com/index.m3u8', via: 'iframe' },
+        { url: 'https://e.example.com/x/playlist.m3u8', via: 'iframe' },
+        { url: 'https://a.example.com/live/index.m3u8', via: 'regex' },
+        { url: 'https://c.example.com/hls/backup.m3u8', via: 'regex' }
+    ]);
+    assert.deepEqual(fetched, ['https://app.livetvapi.com/embed/1', 'https://b.example.com/embed']);
+});
+
+test('livetvapi skips iframes that fail and fetches at most three', async () => {
+    const { input, fetched } = page('<iframe src="/1"></iframe><iframe src="/2"></iframe><iframe src="/3"></iframe><iframe src="/4"></iframe>');
+    assert.deepEqual(await getProvider('livetvapi').extract(input), []);
+    assert.equal(fetched.length, 3);
+});
+
+test('.m3u8 links are matched in raw text', () => {
+    assert.deepEqual(matchM3u8('a "https://x.example.com/a.m3u8" b \'http://y.example.com/b/c.m3u8\''), [
+        'https://x.example.com/a.m3u8',
+        'http://y.example.com/b/c.m3u8'
+    ]);
+    assert.deepEqual(matchM3u8(null), []);
+});
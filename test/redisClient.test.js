@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { encodeCommand, parseReply, createRedisClient } from '../redisClient.js';
+
+const parse = (text) => parseReply(Buffer.from(text), 0);
+
+/* ================== RESP2 ================== */
+
+test('commands are encoded as arrays of bulk strings (byte lengths)', () => {
+    assert.equal(encodeCommand(['SET', 'k', 'v', 'PX', 1000]), '*5\r\n$3\r\nSET\r\n$1\r\nk\r\n$1\r\nv\r\n$2\r\nPX\r\n$4\r\n1000\r\n');
+    assert.equal(encodeCommand(['SET', 'k', 'é']), '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\né\r\n');
+});
+
+test('simple strings, integers, bulk strings and nil', () => {
+    assert.deepEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+    assert.deepEqual(parse(':42\r\n'), { value: 42, offset: 5 });
+    assert.deepEqual(parse('$5\r\nhe\r\no\r\n'), { value: 'he\r\no', offset: 11 });
+    assert.deepEqual(parse('$0\r\n\r\n'), { value: '', offset: 6 });
+    assert.deepEqual(parse('$-1\r\n'), { value: null, offset: 5 });
+    assert.deepEqual(parse('*-1\r\n'), { value: null, offset: 5 });
+});
+
+test('error replies become Error values', () => {
+    const { value } = parse('-WRONGTYPE Operation against a key\r\n');
+    assert.ok(value instanceof Error);
+    assert.equal(value.message, 'WRONGTYPE Operation against a key');
+    assert.equal(value.redisError, true);
+});
+
+test('arrays, nested and with nil members', () => {
+    assert.deepEqual(parse('*3\r\n$1\r\na\r\n$-1\r\n*2\r\n:1\r\n+x\r\n').value, ['a', null, [1, 'x']]);
+    assert.deepEqual(parse('*0\r\n').value, []);
+});
+
+test('incomplete replies return null', () => {
+    for (const partial of ['+OK', '$5\r\nhel', '$5\r\nhello', '*2\r\n$1\r\na\r\n', '*2\r\n$1\r\na\r\n$1\r\n']) {
+        assert.equal(parse(partial), null, JSON.stringify(partial));
+    }
+});
+
+test('unknown reply types throw', () => {
+    assert.throws(() => parse('?what\r\n'), /Unexpected RESP type/);
+});
+
+/* ================== CLIENT ================== */
+
+// Fake server: onCommand(socket, args) answers (or doesn't) each command
+async function fakeServer(onCommand) {
+    const server = net.createServer((socket) => {
+        let buf = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buf = Buffer.concat([buf, chunk]);
+            for (;;) {
+                const reply = parseReply(buf, 0);
+                if (!reply) break;
+                buf = buf.subarray(reply.offset);
+                onCommand(socket, reply.value);
+            }
+        });
+        socket.on('error', () => { });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `redis://127.0.0.1:${server.address().port}` };
+}
+
+test('pipelined replies split across chunks are matched in order', async () => {
+    const { server, url } = await fakeServer((socket, [cmd, key]) => {
+        if (cmd !== 'GET') return;
+        const reply = key === 'none' ? '$-1\r\n' : `$${key.length + 2}\r\nv:${key}\r\n`;
+        // one byte at a time
+        for (const ch of reply) socket.write(ch);
+    });
+    const client = createRedisClient(url);
+    try {
+        assert.deepEqual(await Promise.all(['a', 'none', 'bcd'].map((k) => client.command('GET', k))), ['v:a', null, 'v:bcd']);
+    } finally {
+        client.close();
+        server.close();
+    }
+});
+
+test('a command without a reply times out, drops the connection and fails the rest', async () => {
+    let connections = 0;
+    const { server, url } = await fakeServer((socket, [cmd]) => {
+        if (cmd === 'PING') socket.write('+PONG\r\n');
+    });
+    server.on('connection', () => connections++);
+    const client = createRedisClient(url, { commandTimeoutMs: 100 });
+    try {
+        const hung = client.command('GET', 'a');
+        const behind = client.command('GET', 'b');
+        await assert.rejects(hung, { code: 'EREDISTIMEOUT' });
+        await assert.rejects(behind, { code: 'EREDISTIMEOUT' });
+        // the next command reconnects
+        assert.equal(await client.command('PING'), 'PONG');
+        assert.equal(connections, 2);
+    } finally {
+        client.close();
+        server.close();
+    }
+});
+
+test('a connection closed by the server rejects what is still pending', async () => {
+    const { server, url } = await fakeServer((socket) => socket.destroy());
+    const client = createRedisClient(url, { commandTimeoutMs: 5000 });
+    try {
+        await assert.rejects(client.command('GET', 'a'), /Redis connection closed/);
+    } finally {
+        client.close();
+        server.close();
+    }
+});
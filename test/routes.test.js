@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const ADMIN_TOKEN = 'test-admin-token';
+const API_KEY = 'test-api-key';
+const origin = `http://127.0.0.1:${PORT}`;
+let server;
+
+before(async () => {
+    server = spawn(process.execPath, [fileURLToPath(new URL('../app.js', import.meta.url))], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            ADMIN_TOKEN,
+            VIEWER_AUTH: '1',
+            VIEWER_API_KEYS: API_KEY,
+            SESSION_STORE: 'memory',
+            PREWARM_EVENTS: '',
+            SELF_URL: '',
+            CORS_ORIGINS: 'https://allowed.example.com',
+            RATE_LIMIT_API_PER_MIN: '10',
+            PREPARE_EVENTS_PER_MIN: '2'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('app.js did not start')), 15000);
+        server.stdout.on('data', (chunk) => {
+            if (String(chunk).includes('HLS proxy running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.on('exit', (code) => reject(new Error(`app.js exited with ${code}`)));
+    });
+});
+
+after(() => server?.kill());
+
+const call = (method, path) =>
+    fetch(`${origin}/admin${path}`, { method, headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+/* ================== ADMIN ================== */
+
+test('pin and unpin an event of the default provider (short form)', async () => {
+    let res = await call('PUT', '/events/123/pin');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).pinned, true);
+
+    res = await call('DELETE', '/events/123/pin');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.eventId, '123');
+    assert.equal(body.pinned, false);
+});
+
+test('evicting an event is not mistaken for an unpin', async () => {
+    const res = await call('DELETE', '/events/123');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).evicted, true);
+});
+
+/* ================== VIEWER AUTH ================== */
+
+test('the live score needs a player link token or an API key', async () => {
+    const res = await fetch(`${origin}/api/score/123`);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).reason, 'missing_token');
+});
+
+test('the status of every event needs an API key', async () => {
+    let res = await fetch(`${origin}/api/status`);
+    assert.equal(res.status, 401);
+    res = await fetch(`${origin}/api/status?token=anything`);
+    assert.equal(res.status, 401);
+    res = await fetch(`${origin}/api/status`, { headers: { 'x-api-key': API_KEY } });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).count, 0);
+});
+
+/* ================== PLAYER ================== */
+
+test('a signed player link serves the player page and its self-hosted hls.js', async () => {
+    let res = await fetch(`${origin}/player/123`);
+    assert.equal(res.status, 401);
+
+    const { playerUrl } = await (await call('POST', '/events/123/player-link')).json();
+    res = await fetch(`${origin}${playerUrl}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-security-policy'), "frame-ancestors 'self' https://allowed.example.com");
+    const hlsSrc = (await res.text()).match(/<script src="([^"]+)">/)[1];
+
+    res = await fetch(`${origin}${hlsSrc}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /javascript/);
+    assert.match(res.headers.get('cache-control'), /immutable/);
+});
+
+/* ================== CORS AND RATE LIMITS ================== */
+
+test('preflights are answered for listed origins only', async () => {
+    let res = await fetch(`${origin}/api/status`, { method: 'OPTIONS', headers: { origin: 'https://allowed.example.com' } });
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get('access-control-allow-origin'), 'https://allowed.example.com');
+    assert.match(res.headers.get('access-control-allow-headers'), /X-API-Key/);
+
+    res = await fetch(`${origin}/api/status`, { method: 'OPTIONS', headers: { origin: 'https://other.example.com' } });
+    assert.equal(res.status, 403);
+
+    res = await fetch(`${origin}/api/status`, { headers: { origin: 'https://other.example.com', 'x-api-key': API_KEY } });
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+    assert.equal(res.headers.get('vary'), 'Origin');
+});
+
+test('a client is capped on new events prepared, then rate limited', async () => {
+    const prepare = (eventId) => fetch(`${origin}/prepare/${eventId}`, { headers: { 'x-api-key': API_KEY } });
+    // the first two are prepared (whether the upstream answers doesn't matter), the third is over the cap
+    assert.notEqual((await prepare('901')).status, 429);
+    assert.notEqual((await prepare('902')).status, 429);
+    let res = await prepare('903');
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).error, 'prepare_limit');
+
+    // an event it already asked for is still allowed, until the per-minute API limit (shared with the tests above)
+    for (let i = 0; i < 10; i++) {
+        res = await prepare('901');
+        if (res.status === 429) break;
+    }
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).error, 'rate_limited');
+});
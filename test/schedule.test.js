@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEvents, filterEvents, parseStartTime } from '../schedule.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const normalize = (raw, options = {}) => normalizeEvents(raw, { provider: 'p', tz: 'Asia/Kolkata', now: NOW, ...options });
+const statusOf = (item, options) => normalize([{ eventId: '1', ...item }], options)[0].status;
+
+test('an event that started a minute ago is live, not finished', () => {
+    assert.equal(statusOf({ startTime: NOW - MIN }), 'live');
+});
+
+test('an unflagged event stays live until its duration has passed, then finishes', () => {
+    assert.equal(statusOf({ startTime: NOW - 4 * HOUR + MIN }), 'live');
+    assert.equal(statusOf({ startTime: NOW - 4 * HOUR - MIN }), 'finished');
+    assert.equal(statusOf({ startTime: NOW - 90 * MIN }, { durationMs: 2 * HOUR }), 'live');
+    assert.equal(statusOf({ startTime: NOW - 150 * MIN }, { durationMs: 2 * HOUR }), 'finished');
+});
+
+test('provider flags win over the clock', () => {
+    assert.equal(statusOf({ startTime: NOW - 10 * HOUR, live: true }), 'live');
+    assert.equal(statusOf({ startTime: NOW - MIN, finished: true }), 'finished');
+});
+
+test('future and unknown start times are upcoming', () => {
+    assert.equal(statusOf({ startTime: NOW + HOUR }), 'upcoming');
+    assert.equal(statusOf({}), 'upcoming');
+});
+
+test('teams from the title, start time in the display timezone, sorted with unknown times last', () => {
+    const events = normalize([
+        { eventId: 'b', title: 'India  vs Australia', startTime: '2026-10-19 18:30', competition: ' T20 ' },
+        { eventId: 'c', title: 'No time' },
+        { eventId: 'a', title: 'X v Y', startTime: NOW / 1000 + 600 },
+        { eventId: 'a', title: 'duplicate' }
+    ], { sourceTz: 'Asia/Kolkata' });
+    assert.deepEqual(events.map((e) => e.eventId), ['a', 'b', 'c']);
+    const india = events[1];
+    assert.deepEqual(india.teams, { home: 'India', away: 'Australia' });
+    assert.equal(india.title, 'India vs Australia');
+    assert.equal(india.competition, 'T20');
+    assert.equal(india.startTime, '2026-10-19T18:30:00+05:30');
+    assert.equal(india.date, '2026-10-19');
+});
+
+test('filterEvents by date and status', () => {
+    const events = normalize([
+        { eventId: '1', startTime: NOW + HOUR },
+        { eventId: '2', startTime: NOW - MIN },
+        { eventId: '3', startTime: NOW + 48 * HOUR }
+    ]);
+    assert.deepEqual(filterEvents(events, { status: 'upcoming' }).map((e) => e.eventId), ['1', '3']);
+    assert.deepEqual(filterEvents(events, { date: '2026-10-19' }).map((e) => e.eventId), ['2', '1']);
+});
+
+test('parseStartTime: epoch seconds, epoch ms, formats in the source timezone, garbage', () => {
+    assert.equal(parseStartTime(1700000000).valueOf(), 1700000000000);
+    assert.equal(parseStartTime('1700000000000').valueOf(), 1700000000000);
+    assert.equal(parseStartTime('19/10/2026 18:30', 'Europe/London').toISOString(), '2026-10-19T17:30:00.000Z');
+    assert.equal(parseStartTime('soon', 'UTC'), null);
+    assert.equal(parseStartTime('', 'UTC'), null);
+});
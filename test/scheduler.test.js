@@ -0,0 +1,60 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as flush } from 'node:timers/promises';
+import { createScheduler } from '../scheduler.js';
+
+// the scheduler logs every refresh and failure
+for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+
+function scheduler(sessions, prepare) {
+    return createScheduler({
+        upcoming: async () => [],
+        active: async () => sessions,
+        prepare,
+        selfUrl: '',
+        activeHours: { start: 0, end: 24 },
+        timezone: 'UTC'
+    });
+}
+
+test('sessions without a cached entry are not refreshed', async () => {
+    const calls = [];
+    const s = scheduler([{ provider: 'a', eventId: '1', ttlSec: 0, cached: false }], async (...args) => calls.push(args));
+    await s.tick();
+    await flush();
+    assert.deepEqual(calls, []);
+});
+
+test('a cached session about to expire is refreshed', async () => {
+    const calls = [];
+    const s = scheduler([{ provider: 'a', eventId: '1', ttlSec: 30, cached: true }], async (...args) => calls.push(args));
+    await s.tick();
+    await flush();
+    assert.deepEqual(calls, [['a', '1', { force: true }]]);
+    assert.equal(s.status().refreshed, 1);
+});
+
+test('a failed refresh backs off instead of retrying every tick', async () => {
+    let calls = 0;
+    const s = scheduler([{ provider: 'a', eventId: '1', ttlSec: 30, cached: true }], async () => {
+        calls++;
+        throw new Error('upstream down');
+    });
+    await s.tick();
+    await flush();
+    await s.tick();
+    await flush();
+    assert.equal(calls, 1);
+    assert.equal(s.status().refreshBackoff['a/1'].failures, 1);
+});
+
+test('a session with a short TTL is not refreshed again within refreshAheadSec', async () => {
+    let calls = 0;
+    // stream URL expiring within minutes: the refreshed session's TTL is still below refreshAheadSec
+    const s = scheduler([{ provider: 'a', eventId: '1', ttlSec: 20, cached: true }], async () => calls++);
+    await s.tick();
+    await flush();
+    await s.tick();
+    await flush();
+    assert.equal(calls, 1);
+});
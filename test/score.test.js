@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { normalizeScore, injectScoreRendition, scorePlaylist, mpegTsFirstPts, webvttSegment } from '../score.js';
+
+const MASTER = readFileSync(new URL('./fixtures/master.m3u8', import.meta.url), 'utf8');
+
+// 5-byte PES timestamp field ('0010' prefix: PTS only)
+function ptsField(pts) {
+    const high = Math.floor(pts / 2 ** 30);
+    const low = pts % 2 ** 30;
+    return [0x21 | ((high & 0x7) << 1), (low >> 22) & 0xff, (((low >> 15) & 0x7f) << 1) | 1, (low >> 7) & 0xff, ((low & 0x7f) << 1) | 1];
+}
+
+// One 188-byte TS packet starting a video PES; pts null: a PES header without timestamps
+function pesPacket(pts, { adaptation = 0 } = {}) {
+    const packet = Buffer.alloc(188, 0xff);
+    const header = [0x47, 0x41, 0x00, adaptation ? 0x30 : 0x10];
+    if (adaptation) header.push(adaptation - 1, ...Array(adaptation - 1).fill(0));
+    const pes = [0x00, 0x00, 0x01, 0xe0, 0x00, 0x00, 0x80, pts === null ? 0x00 : 0x80, pts === null ? 0 : 5];
+    if (pts !== null) pes.push(...ptsField(pts));
+    Buffer.from([...header, ...pes]).copy(packet);
+    return packet;
+}
+
+/* ================== MPEG-TS ================== */
+
+test('the first PTS of a TS segment is read from its first timestamped PES', () => {
+    assert.equal(mpegTsFirstPts(pesPacket(900000)), 900000);
+    assert.equal(mpegTsFirstPts(pesPacket(2 ** 33 - 1)), 2 ** 33 - 1); // 33 bits
+    assert.equal(mpegTsFirstPts(Buffer.concat([pesPacket(null), pesPacket(123456, { adaptation: 8 })])), 123456);
+});
+
+test('buffers that are not MPEG-TS, or carry no timestamps, have no PTS', () => {
+    assert.equal(mpegTsFirstPts(Buffer.from('<html>blocked</html>'.padEnd(188))), null);
+    assert.equal(mpegTsFirstPts(pesPacket(null)), null);
+    assert.equal(mpegTsFirstPts(Buffer.alloc(0)), null);
+});
+
+/* ================== WEBVTT ================== */
+
+test('a subtitle segment is one cue over the segment, mapped to the video PTS', () => {
+    assert.equal(
+        webvttSegment('IND 245/3 (42.1)', { duration: 6.006, pts: 900000 }),
+        'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n00:00:00.000 --> 00:00:06.006 line:5% align:center\nIND 245/3 (42.1)\n\n'
+    );
+    assert.equal(webvttSegment('', { duration: 6, pts: 900000 }), 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n');
+    assert.match(webvttSegment('score', { duration: 3725.5 }), /^WEBVTT\n\n00:00:00.000 --> 01:02:05.500 /);
+});
+
+/* ================== PLAYLISTS ================== */
+
+test('the score rendition joins every variant without a subtitles group', () => {
+    const text = injectScoreRendition(MASTER, (group) => `/live/1/score.m3u8?group=${group}`);
+    const media = text.split('\n').filter((line) => line.includes('TYPE=SUBTITLES'));
+    assert.equal(media.length, 1);
+    assert.match(media[0], /GROUP-ID="score".*URI="\/live\/1\/score.m3u8\?group=score"/);
+    assert.equal((text.match(/SUBTITLES="score"/g) || []).length, 2);
+    assert.ok(text.indexOf('TYPE=SUBTITLES') < text.indexOf('#EXT-X-STREAM-INF'));
+});
+
+test('the score playlist mirrors the video playlist segment for segment', () => {
+    const video = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        '#EXT-X-TARGETDURATION:6',
+        '#EXT-X-MEDIA-SEQUENCE:41',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+        '#EXT-X-PROGRAM-DATE-TIME:2025-01-10T14:00:00.000Z',
+        '#EXTINF:6.000,',
+        'a.ts',
+        '#EXT-X-DISCONTINUITY',
+        '#EXTINF:4.000,',
+        'b.ts',
+        '#EXT-X-ENDLIST',
+        ''
+    ].join('\n');
+    const text = scorePlaylist(video, ({ msn, duration }) => `score/${msn}.vtt?d=${duration}`);
+    assert.equal(
+        text,
+        [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            '#EXT-X-TARGETDURATION:6',
+            '#EXT-X-MEDIA-SEQUENCE:41',
+            '#EXT-X-PROGRAM-DATE-TIME:2025-01-10T14:00:00.000Z',
+            '#EXTINF:6.000,',
+            'score/41.vtt?d=6',
+            '#EXT-X-DISCONTINUITY',
+            '#EXTINF:4.000,',
+            'score/42.vtt?d=4',
+            '#EXT-X-ENDLIST',
+            ''
+        ].join('\n')
+    );
+});
+
+test('provider scores are normalized into one display line', () => {
+    assert.deepEqual(normalizeScore({ teams: [{ name: ' IND ', score: '245/3', overs: '42.1' }, { name: 'AUS', score: '310/8' }], summary: 'India need 66 runs' }), {
+        teams: [{ name: 'IND', score: '245/3', overs: '42.1' }, { name: 'AUS', score: '310/8', overs: null }],
+        status: null,
+        summary: 'India need 66 runs',
+        text: 'IND 245/3 (42.1) • AUS 310/8 — India need 66 runs'
+    });
+    assert.equal(normalizeScore({ teams: [{ name: '', score: '' }], summary: ' ' }), null);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, PassThrough } from 'node:stream';
+import { createSegmentCache, readSegment } from '../segmentCache.js';
+
+// axios-like streamed response
+const upstream = (body, contentType) => async () => ({
+    status: 200,
+    headers: { 'content-type': contentType },
+    data: Readable.from([Buffer.from(body)])
+});
+
+const cache = () => createSegmentCache({ maxBytes: 1024 * 1024, ttlMs: 60 * 1000 });
+
+// TS packets: sync byte every 188 bytes
+function tsPackets(count) {
+    const buffer = Buffer.alloc(188 * count);
+    for (let i = 0; i < count; i++) buffer[i * 188] = 0x47;
+    return buffer;
+}
+
+test('non-media resources (session data JSON, keys) are not validated as segments', async () => {
+    const segments = cache();
+    const json = await segments.get('https://cdn.example.com/hls/info.json', upstream('{"title":"Final"}', 'application/json'));
+    assert.equal((await readSegment(json)).toString(), '{"title":"Final"}');
+    const key = await segments.get('https://keys.example.com/k1?id=1', upstream('0123456789abcdef', 'application/octet-stream'));
+    assert.equal((await readSegment(key)).length, 16);
+    assert.deepEqual(segments.stats().invalid, {});
+});
+
+test('a block page served for a media segment is rejected', async () => {
+    const segments = cache();
+    await assert.rejects(
+        segments.get('https://cdn.example.com/hls/seg1.ts', upstream('{"error":"forbidden"}', 'application/json')),
+        { code: 'EBADSEGMENT', reason: 'content_type' }
+    );
+    await assert.rejects(
+        segments.get('https://cdn.example.com/hls/seg2', upstream('<html><body>blocked</body></html>', 'video/mp2t')),
+        { code: 'EBADSEGMENT', reason: 'html' }
+    );
+});
+
+test('a valid TS segment is served and cached', async () => {
+    const segments = cache();
+    const packet = Buffer.alloc(188 * 2);
+    packet[0] = 0x47;
+    packet[188] = 0x47;
+    const first = await segments.get('https://cdn.example.com/hls/seg3.ts', upstream(packet, 'video/mp2t'));
+    assert.equal((await readSegment(first)).length, 376);
+    await segments.get('https://cdn.example.com/hls/seg3.ts', () => assert.fail('fetched twice'));
+    assert.equal(segments.stats().hits, 1);
+});
+
+/* ================== COALESCING ================== */
+
+test('concurrent requests for a segment share one upstream download', async () => {
+    const segments = cache();
+    const body = new PassThrough();
+    let fetches = 0;
+    const fetcher = async () => {
+        fetches++;
+        return { status: 200, headers: { 'content-type': 'video/mp2t' }, data: body };
+    };
+
+    const first = segments.get('https://cdn.example.com/hls/seg4.ts', fetcher);
+    const second = segments.get('https://cdn.example.com/hls/seg4.ts', fetcher);
+    body.write(tsPackets(2));
+    const [a, b] = await Promise.all([first, second]);
+    assert.equal(a, b); // the second viewer tails the running download
+    body.end(tsPackets(1));
+
+    assert.equal((await readSegment(b)).length, 188 * 3);
+    assert.equal(fetches, 1);
+    assert.deepEqual([segments.stats().misses, segments.stats().coalesced, segments.stats().inflight], [1, 1, 0]);
+});
+
+test('a failed download fails every waiting viewer and is not cached', async () => {
+    const segments = cache();
+    const failing = async () => ({ status: 503, headers: {}, data: Readable.from([]) });
+    const results = await Promise.allSettled([
+        segments.get('https://cdn.example.com/hls/seg5.ts', failing),
+        segments.get('https://cdn.example.com/hls/seg5.ts', failing)
+    ]);
+    assert.deepEqual(results.map((r) => r.reason?.upstreamStatus), [503, 503]);
+
+    const retried = await segments.get('https://cdn.example.com/hls/seg5.ts', upstream(tsPackets(2), 'video/mp2t'));
+    assert.equal((await readSegment(retried)).length, 376);
+    assert.equal(segments.stats().misses, 2);
+});
+
+test('a playlist served from a segment URL is not stored', async () => {
+    const segments = cache();
+    const playlist = await segments.get('https://cdn.example.com/hls/chunklist', upstream('#EXTM3U\n', 'application/vnd.apple.mpegurl'));
+    await readSegment(playlist);
+    assert.equal(segments.stats().items, 0);
+});
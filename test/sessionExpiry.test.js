@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { streamUrlExpiry, earliestExpiry } from '../sessionExpiry.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const inSec = (sec) => Math.floor(NOW / 1000) + sec;
+const jwt = (claims) => `eyJhbGciOiJIUzI1NiJ9.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.sig`;
+
+test('expiry query params in seconds and milliseconds', () => {
+    assert.equal(streamUrlExpiry(`https://cdn.example.com/a.m3u8?expires=${inSec(600)}`, NOW), (inSec(600)) * 1000);
+    assert.equal(streamUrlExpiry(`https://cdn.example.com/a.m3u8?Exp=${inSec(60) * 1000}`, NOW), inSec(60) * 1000);
+});
+
+test('Akamai hdnts and JWTs in query values and path segments', () => {
+    assert.equal(streamUrlExpiry(`https://cdn.example.com/a.m3u8?hdnts=st=1~exp=${inSec(300)}~hmac=ab`, NOW), inSec(300) * 1000);
+    assert.equal(streamUrlExpiry(`https://cdn.example.com/a.m3u8?token=${jwt({ exp: inSec(120) })}`, NOW), inSec(120) * 1000);
+    assert.equal(streamUrlExpiry(`https://cdn.example.com/${jwt({ exp: inSec(90) })}/a.m3u8`, NOW), inSec(90) * 1000);
+});
+
+test('the earliest of several expiries wins, implausible timestamps are ignored', () => {
+    assert.equal(streamUrlExpiry(`https://cdn.example.com/a.m3u8?exp=${inSec(900)}&e=${inSec(100)}`, NOW), inSec(100) * 1000);
+    assert.equal(streamUrlExpiry('https://cdn.example.com/a.m3u8?exp=1234567890&id=9999999999', NOW), null);
+});
+
+test('a malformed percent-escape in the path is skipped, not thrown', () => {
+    const url = `https://cdn.example.com/tok%zz%/${jwt({ exp: inSec(200) })}/a.m3u8?exp=${inSec(400)}`;
+    assert.equal(streamUrlExpiry(url, NOW), inSec(200) * 1000);
+    assert.equal(streamUrlExpiry('https://cdn.example.com/live/100%/index.m3u8', NOW), null);
+});
+
+test('earliestExpiry mixes cookie expiries with the URL, ignoring session cookies', () => {
+    const url = `https://cdn.example.com/a.m3u8?exp=${inSec(500)}`;
+    assert.equal(earliestExpiry(url, [Infinity, NOW + 100000], NOW), NOW + 100000);
+    assert.equal(earliestExpiry(url, [Infinity], NOW), inSec(500) * 1000);
+    assert.equal(earliestExpiry('https://cdn.example.com/a.m3u8', [Infinity], NOW), null);
+});
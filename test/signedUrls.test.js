@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+process.env.SEGMENT_SIGNING_SECRET = 'test-secret';
+const { signSegmentUrl, verifySegmentToken, signViewerToken, verifyViewerToken } = await import('../signedUrls.js');
+
+const URL_A = 'https://cdn.example.com/hls/seg1.ts?sig=abc';
+
+// A token signed with the real secret over arbitrary claims
+function forge(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${crypto.createHmac('sha256', 'test-secret').update(payload).digest('base64url')}`;
+}
+
+test('a segment token round-trips for its event', () => {
+    assert.deepEqual(verifySegmentToken(signSegmentUrl(URL_A, 'local/1'), 'local/1'), { url: URL_A });
+});
+
+test('missing and malformed tokens are refused', () => {
+    assert.equal(verifySegmentToken(undefined, 'local/1').error, 'missing_token');
+    assert.equal(verifySegmentToken('nodot', 'local/1').error, 'bad_token');
+    assert.equal(verifySegmentToken(`${Buffer.from('{').toString('base64url')}.x`, 'local/1').error, 'bad_token');
+});
+
+test('a tampered payload or signature is refused', () => {
+    const [payload, signature] = signSegmentUrl(URL_A, 'local/1').split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const swapped = Buffer.from(JSON.stringify({ ...claims, u: 'https://cdn.example.com/other.ts' })).toString('base64url');
+    assert.equal(verifySegmentToken(`${swapped}.${signature}`, 'local/1').error, 'bad_token');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+    assert.equal(verifySegmentToken(`${payload}.${flipped}`, 'local/1').error, 'bad_token');
+});
+
+test('an expired token is refused', () => {
+    assert.equal(verifySegmentToken(signSegmentUrl(URL_A, 'local/1', -1), 'local/1').error, 'expired');
+});
+
+test('a token for another event is refused', () => {
+    assert.equal(verifySegmentToken(signSegmentUrl(URL_A, 'local/1'), 'local/2').error, 'wrong_event');
+});
+
+test('a url off the origin it was signed for is refused', () => {
+    const x = Date.now() + 60000;
+    assert.equal(verifySegmentToken(forge({ u: URL_A, o: 'https://evil.example.com', e: 'local/1', x }), 'local/1').error, 'off_host');
+    assert.equal(verifySegmentToken(forge({ u: URL_A, e: 'local/1', x }), 'local/1').error, 'off_host');
+    assert.deepEqual(verifySegmentToken(forge({ u: URL_A, o: 'https://cdn.example.com', e: 'local/1', x }), 'local/1'), { url: URL_A });
+});
+
+test('viewer and segment tokens cannot stand in for each other', () => {
+    const viewer = signViewerToken('local/1');
+    assert.ok(verifyViewerToken(viewer, 'local/1').expiresAt > Date.now());
+    assert.equal(verifySegmentToken(viewer, 'local/1').error, 'bad_token');
+    assert.equal(verifyViewerToken(signSegmentUrl(URL_A, 'local/1'), 'local/1').error, 'bad_token');
+});
@@ -0,0 +1,106 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as flush } from 'node:timers/promises';
+import { createStreamMonitor } from '../streamMonitor.js';
+
+afterEach(() => mock.timers.reset());
+
+// Fake setInterval and Date, starting at the real time (an event's first poll is due right away)
+const fakeTimers = () => mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+
+// Advance the monitor's 1s tick `seconds` times, letting each poll settle
+async function elapse(seconds) {
+    for (let i = 0; i < seconds; i++) {
+        mock.timers.tick(1000);
+        await flush();
+    }
+}
+
+test('an event is healthy while its media sequence advances and stalled after three target durations', async () => {
+    fakeTimers();
+    let sequence = 100;
+    const changes = [];
+    const monitor = createStreamMonitor({
+        poll: async () => ({ mediaSequence: sequence, targetDuration: 2, ended: false }),
+        onChange: (key, ctx, status) => changes.push(status.state)
+    });
+    monitor.touch('a/1', { eventId: '1' }, 'viewer-1');
+    assert.equal(monitor.status('a/1').state, 'unknown');
+
+    await elapse(1);
+    assert.equal(monitor.status('a/1').state, 'healthy');
+    for (let i = 0; i < 5; i++) {
+        sequence++;
+        await elapse(2);
+    }
+    assert.equal(monitor.status('a/1').state, 'healthy');
+
+    await elapse(7);
+    assert.equal(monitor.status('a/1').state, 'stalled');
+    assert.deepEqual(changes, ['unknown', 'healthy', 'stalled']);
+});
+
+test('failing segment fetches mark an event degraded', async () => {
+    fakeTimers();
+    const monitor = createStreamMonitor({ poll: async () => ({ mediaSequence: 1, targetDuration: 4, ended: false }) });
+    monitor.touch('a/1', {}, 'viewer-1');
+    await elapse(1);
+    for (const ok of [true, true, true, false, false]) monitor.recordSegment('a/1', { latencyMs: 100, ok });
+
+    const status = monitor.status('a/1');
+    assert.equal(status.state, 'degraded');
+    assert.deepEqual(status.segments, { samples: 5, errorRate: 0.4, avgLatencyMs: 100 });
+});
+
+test('slow segment fetches and repeated poll failures mark an event degraded', async () => {
+    fakeTimers();
+    let failing = false;
+    const monitor = createStreamMonitor({
+        poll: async () => {
+            if (failing) throw new Error('status 502');
+            return { mediaSequence: 1, targetDuration: 4, ended: false };
+        }
+    });
+    monitor.touch('a/1', {}, 'viewer-1');
+    monitor.touch('b/1', {}, 'viewer-1');
+    await elapse(1);
+    monitor.recordSegment('a/1', { latencyMs: 2500, ok: true }); // over half a target duration
+    assert.equal(monitor.status('a/1').state, 'degraded');
+
+    failing = true;
+    await elapse(8);
+    assert.equal(monitor.status('b/1').state, 'degraded');
+    assert.equal(monitor.status('b/1').lastError, 'status 502');
+});
+
+test('an ended event stops being polled', async () => {
+    fakeTimers();
+    let polls = 0;
+    const monitor = createStreamMonitor({
+        poll: async () => {
+            polls++;
+            return { mediaSequence: 1, targetDuration: 2, ended: true };
+        }
+    });
+    monitor.touch('a/1', {}, 'viewer-1');
+    await elapse(10);
+    assert.equal(monitor.status('a/1').state, 'ended');
+    assert.equal(polls, 1);
+});
+
+test('viewers and bitrate are counted per event, idle events are dropped', async () => {
+    fakeTimers();
+    const monitor = createStreamMonitor({ poll: async () => null, idleMs: 5000 });
+    monitor.touch('a/1', { eventId: '1' }, 'viewer-1');
+    monitor.touch('a/1', { eventId: '1' }, 'viewer-2');
+    monitor.touch('a/1', { eventId: '1' }, 'viewer-1');
+    monitor.recordBytes('a/1', 1250000);
+
+    const status = monitor.status('a/1');
+    assert.equal(status.viewers, 2);
+    assert.equal(status.bitrateBps, 1000000); // 1.25 MB over the 10s window
+    assert.deepEqual(monitor.list().map((e) => [e.key, e.eventId]), [['a/1', '1']]);
+
+    await elapse(6);
+    assert.equal(monitor.status('a/1'), null);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import https from 'node:https';
+import net from 'node:net';
+import { once } from 'node:events';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { withConnectTimeout } from '../upstreamAgents.js';
+
+test('a proxy that never answers CONNECT fails the request with ECONNECTTIMEOUT', async () => {
+    const sockets = [];
+    const proxy = net.createServer((socket) => sockets.push(socket)).listen(0, '127.0.0.1');
+    await once(proxy, 'listening');
+    try {
+        const TimedHttpsProxyAgent = withConnectTimeout(HttpsProxyAgent);
+        const agent = new TimedHttpsProxyAgent(`http://127.0.0.1:${proxy.address().port}`, { connectTimeoutMs: 100 });
+        const startedAt = Date.now();
+        const req = https.get('https://cdn.example.com/live/index.m3u8', { agent });
+        const [err] = await once(req, 'error');
+        assert.equal(err.code, 'ECONNECTTIMEOUT');
+        assert.ok(Date.now() - startedAt < 2000);
+        assert.equal(sockets.length, 1);
+    } finally {
+        for (const socket of sockets) socket.destroy();
+        proxy.close();
+    }
+});
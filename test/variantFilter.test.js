@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseVariantOptions, hasVariantOptions, filterVariants } from '../variantFilter.js';
+
+const MEDIA = readFileSync(new URL('./fixtures/media.m3u8', import.meta.url), 'utf8');
+const MASTER = [
+    '#EXTM3U',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"',
+    '360.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2"',
+    '1080.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="mp4a.40.2"',
+    'audio.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"',
+    '720.m3u8',
+    '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=200000,RESOLUTION=640x360,URI="360-iframes.m3u8"',
+    '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=1200000,RESOLUTION=1920x1080,URI="1080-iframes.m3u8"',
+    ''
+].join('\n');
+
+// Variant and i-frame playlist URIs, in playlist order
+const uris = (text) => text.split('\n').flatMap((line) => line.match(/^[^#]\S*$/)?.[0] || line.match(/URI="([^"]+)"/)?.[1] || []);
+
+test('query options are validated and server caps only ever lower them', () => {
+    assert.deepEqual(parseVariantOptions({ maxHeight: '1080', order: 'low' }, { maxHeight: 720 }).options, {
+        maxHeight: 720,
+        maxBandwidth: null,
+        only: null,
+        order: 'low'
+    });
+    assert.equal(parseVariantOptions({ maxHeight: '480' }, { maxHeight: 720 }).options.maxHeight, 480);
+    assert.equal(parseVariantOptions({}, { maxBandwidth: 3000000 }).options.maxBandwidth, 3000000);
+    assert.deepEqual(parseVariantOptions({ maxHeight: '-1' }), { error: 'invalid maxHeight' });
+    assert.deepEqual(parseVariantOptions({ only: 'subtitles' }), { error: 'invalid only' });
+    assert.deepEqual(parseVariantOptions({ order: 'random' }), { error: 'invalid order' });
+    assert.equal(hasVariantOptions(parseVariantOptions({}).options), false);
+});
+
+test('variants and i-frame playlists above the height or bandwidth limit are dropped', () => {
+    let result = filterVariants(MASTER, { maxHeight: 720 });
+    assert.deepEqual(uris(result.text), ['360.m3u8', 'audio.m3u8', '720.m3u8', '360-iframes.m3u8']);
+    assert.deepEqual([result.kept, result.total, result.fallback], [3, 4, false]);
+
+    result = filterVariants(MASTER, { maxBandwidth: 1000000 });
+    assert.deepEqual(uris(result.text), ['360.m3u8', 'audio.m3u8', '360-iframes.m3u8']);
+});
+
+test('only=audio keeps audio-only variants and drops i-frame playlists, only=video the rest', () => {
+    assert.deepEqual(uris(filterVariants(MASTER, { only: 'audio' }).text), ['audio.m3u8']);
+    assert.deepEqual(uris(filterVariants(MASTER, { only: 'video' }).text), [
+        '360.m3u8',
+        '1080.m3u8',
+        '720.m3u8',
+        '360-iframes.m3u8',
+        '1080-iframes.m3u8'
+    ]);
+});
+
+test('order sorts variants by bandwidth and leaves other tags in place', () => {
+    const { text } = filterVariants(MASTER, { order: 'high' });
+    assert.deepEqual(uris(text), ['1080.m3u8', '720.m3u8', '360.m3u8', 'audio.m3u8', '360-iframes.m3u8', '1080-iframes.m3u8']);
+    assert.match(text, /^#EXTM3U\n#EXT-X-INDEPENDENT-SEGMENTS\n#EXT-X-STREAM-INF:BANDWIDTH=5000000/);
+});
+
+test('the lowest-bandwidth variant is kept when nothing passes', () => {
+    const result = filterVariants(MASTER, { maxBandwidth: 10000 });
+    assert.deepEqual(uris(result.text), ['audio.m3u8']);
+    assert.deepEqual([result.kept, result.fallback], [1, true]);
+});
+
+test('media playlists come back unchanged', () => {
+    const result = filterVariants(MEDIA, { maxHeight: 360, order: 'low' });
+    assert.equal(result.text, MEDIA);
+    assert.equal(result.total, 0);
+});
@@ -0,0 +1,84 @@
+/**
+ * Shared keep-alive agents for upstream requests
+ *
+ * - createKeepAliveAgents({ connectTimeoutMs, maxSockets }) -> { httpAgent, httpsAgent }: one socket pool
+ *   for the whole process instead of a fresh connection per request
+ * - withConnectTimeout(ProxyAgent): agent-base proxy agent (http-proxy-agent, https-proxy-agent,
+ *   socks-proxy-agent) taking a connectTimeoutMs option for its connect() (proxy socket + CONNECT / SOCKS handshake)
+ * - A socket not connected (DNS + TCP, + TLS for https) within connectTimeoutMs fails with code ECONNECTTIMEOUT;
+ *   reused keep-alive sockets skip the connect and its timeout
+ */
+
+import http from 'http';
+import https from 'https';
+
+function connectTimeoutError(ms) {
+    const err = new Error(`Upstream connect timeout after ${ms}ms`);
+    err.code = 'ECONNECTTIMEOUT';
+    return err;
+}
+
+// Destroy socket unless `connectedEvent` fires within ms
+function armConnectTimeout(socket, ms, connectedEvent) {
+    const timer = setTimeout(() => socket.destroy(connectTimeoutError(ms)), ms);
+    const clear = () => clearTimeout(timer);
+    socket.once(connectedEvent, clear);
+    socket.once('close', clear);
+    return socket;
+}
+
+class TimedHttpAgent extends http.Agent {
+    constructor({ connectTimeoutMs, ...options }) {
+        super(options);
+        this.connectTimeoutMs = connectTimeoutMs;
+    }
+
+    createConnection(options, callback) {
+        return armConnectTimeout(super.createConnection(options, callback), this.connectTimeoutMs, 'connect');
+    }
+}
+
+class TimedHttpsAgent extends https.Agent {
+    constructor({ connectTimeoutMs, ...options }) {
+        super(options);
+        this.connectTimeoutMs = connectTimeoutMs;
+    }
+
+    createConnection(options, callback) {
+        return armConnectTimeout(super.createConnection(options, callback), this.connectTimeoutMs, 'secureConnect');
+    }
+}
+
+export function createKeepAliveAgents({ connectTimeoutMs, maxSockets }) {
+    const options = { keepAlive: true, maxSockets, connectTimeoutMs };
+    return { httpAgent: new TimedHttpAgent(options), httpsAgent: new TimedHttpsAgent(options) };
+}
+
+export function withConnectTimeout(ProxyAgent) {
+    return class extends ProxyAgent {
+        constructor(proxy, { connectTimeoutMs, ...options } = {}) {
+            super(proxy, options);
+            this.connectTimeoutMs = connectTimeoutMs;
+        }
+
+        async connect(req, options) {
+            if (!this.connectTimeoutMs) return super.connect(req, options);
+            let timer;
+            let timedOut = false;
+            const connecting = super.connect(req, options);
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    reject(connectTimeoutError(this.connectTimeoutMs));
+                }, this.connectTimeoutMs);
+            });
+            // a socket that shows up after the timeout is nobody's: close it
+            connecting.then((socket) => timedOut && socket?.destroy?.(), () => { });
+            try {
+                return await Promise.race([connecting, timeout]);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
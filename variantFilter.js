@@ -0,0 +1,121 @@
+/**
+ * Master playlist variant filtering (query options of playlist.m3u8)
+ *
+ * - maxHeight=720: drop variants taller than that (RESOLUTION=WxH)
+ * - maxBandwidth=1500000: drop variants above that many bits/s (BANDWIDTH)
+ * - only=audio | video: keep audio-only variants (CODECS without a video codec, or no RESOLUTION) / the rest
+ * - order=low | high: list variants by ascending / descending BANDWIDTH (players start with the first one)
+ * - Server caps (VARIANT_MAX_HEIGHT / VARIANT_MAX_BANDWIDTH) always apply; clients can only go lower
+ * - A filter never empties the playlist: when nothing passes, the lowest-bandwidth variant is kept
+ *
+ * I-frame playlists (EXT-X-I-FRAME-STREAM-INF) follow the same height/bandwidth limits and are dropped for audio.
+ */
+
+import { parsePlaylist, serializePlaylist, getAttr } from './m3u8.js';
+
+const VIDEO_CODEC_RE = /^(avc1|avc3|hvc1|hev1|dvh1|dvhe|vp08|vp8|vp09|vp9|av01|mp4v)/i;
+const ONLY_VALUES = ['audio', 'video'];
+const ORDER_VALUES = ['low', 'high'];
+
+function positiveInt(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// Smaller of two optional limits
+function lowest(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return Math.min(a, b);
+}
+
+/**
+ * Query -> { options } or { error }
+ * - caps: { maxHeight, maxBandwidth } server-side limits (0/undefined: none)
+ */
+export function parseVariantOptions(query, caps = {}) {
+    const options = {};
+    for (const key of ['maxHeight', 'maxBandwidth']) {
+        if (query[key] === undefined) continue;
+        options[key] = positiveInt(query[key]);
+        if (!options[key]) return { error: `invalid ${key}` };
+    }
+    if (query.only !== undefined && !ONLY_VALUES.includes(query.only)) return { error: 'invalid only' };
+    if (query.order !== undefined && !ORDER_VALUES.includes(query.order)) return { error: 'invalid order' };
+
+    return {
+        options: {
+            maxHeight: lowest(options.maxHeight, caps.maxHeight),
+            maxBandwidth: lowest(options.maxBandwidth, caps.maxBandwidth),
+            only: query.only || null,
+            order: query.order || null
+        }
+    };
+}
+
+export function hasVariantOptions(options) {
+    return Boolean(options && (options.maxHeight || options.maxBandwidth || options.only || options.order));
+}
+
+function describe(tag) {
+    const resolution = /^(\d+)x(\d+)$/.exec(getAttr(tag, 'RESOLUTION') || '');
+    const codecs = (getAttr(tag, 'CODECS') || '').split(',').map((c) => c.trim()).filter(Boolean);
+    return {
+        height: resolution ? Number(resolution[2]) : null,
+        bandwidth: Number(getAttr(tag, 'BANDWIDTH')) || 0,
+        audioOnly: codecs.length ? !codecs.some((c) => VIDEO_CODEC_RE.test(c)) : !resolution
+    };
+}
+
+function passes(info, { maxHeight, maxBandwidth, only }, iframe) {
+    if (maxHeight && info.height && info.height > maxHeight) return false;
+    if (maxBandwidth && info.bandwidth > maxBandwidth) return false;
+    if (only === 'audio') return !iframe && info.audioOnly;
+    if (only === 'video') return !info.audioOnly;
+    return true;
+}
+
+/**
+ * Apply options to a master playlist text -> { text, kept, total, fallback }
+ * (media playlists and empty options come back unchanged)
+ */
+export function filterVariants(text, options) {
+    const playlist = parsePlaylist(text);
+    const items = playlist.items;
+
+    // variant blocks: EXT-X-STREAM-INF tag through its URI line
+    const variants = [];
+    for (let i = 0; i < items.length; i++) {
+        if (items[i].kind !== 'tag' || items[i].name !== 'EXT-X-STREAM-INF') continue;
+        let end = i + 1;
+        while (end < items.length && items[end].kind !== 'uri') end++;
+        if (end === items.length) break;
+        variants.push({ start: i, end, info: describe(items[i]) });
+        i = end;
+    }
+    if (!variants.length || !hasVariantOptions(options)) {
+        return { text, kept: variants.length, total: variants.length, fallback: false };
+    }
+
+    let kept = variants.filter((v) => passes(v.info, options, false));
+    const fallback = kept.length === 0;
+    if (fallback) kept = [variants.reduce((min, v) => (v.info.bandwidth < min.info.bandwidth ? v : min))];
+    if (options.order) {
+        const sign = options.order === 'low' ? 1 : -1;
+        kept = [...kept].sort((a, b) => sign * (a.info.bandwidth - b.info.bandwidth));
+    }
+
+    // rebuild: kept blocks go where the first variant was, other tags (media, i-frames, session data) stay put
+    const inVariant = new Set(variants.flatMap((v) => Array.from({ length: v.end - v.start + 1 }, (_, k) => v.start + k)));
+    const out = [];
+    items.forEach((item, index) => {
+        if (index === variants[0].start) {
+            for (const v of kept) out.push(...items.slice(v.start, v.end + 1));
+        }
+        if (inVariant.has(index)) return;
+        if (item.kind === 'tag' && item.name === 'EXT-X-I-FRAME-STREAM-INF' && !passes(describe(item), options, true)) return;
+        out.push(item);
+    });
+
+    return { text: serializePlaylist({ items: out }), kept: kept.length, total: variants.length, fallback };
+}